@@ -6,11 +6,25 @@ class MathLogicApp {
     constructor() {
         this.logicCore = new LogicCore();
         this.logicEvaluator = new LogicEvaluator();
+        this.logicParser = new LogicParser();
         this.uiController = new UIController(this.logicCore);
         this.truthTableGenerator = new TruthTableGenerator(this.logicEvaluator);
+        this.normalFormConverter = new NormalFormConverter(this.truthTableGenerator);
+        this.karnaughMap = new KarnaughMap(this.normalFormConverter);
+        this.rewriteEngine = new RewriteEngine(this.logicParser);
+        this.proofChecker = new ProofChecker(this.logicEvaluator.parser);
+        this.tableau = new Tableau(this.logicParser);
+        this.resolutionProver = new ResolutionProver(this.normalFormConverter);
+        this.satSolver = new SatSolver(this.logicParser);
+        this.modelCounter = new ModelCounter(this.logicParser);
+        this.workspace = new WorkspaceManager(this.logicCore, this.uiController);
+        this.shareLink = new ShareLink(this.logicParser);
+        this.history = new HistoryManager(this.logicCore);
         
         this.modal = null;
         this.isModalOpen = false;
+        this.analysisModal = null;
+        this.isAnalysisModalOpen = false;
         this.isDarkTheme = false;
     }
 
@@ -21,6 +35,13 @@ class MathLogicApp {
         this.uiController.init();
         this.setupEventListeners();
         this.setupModal();
+        this.setupHistory();
+        // 先恢复上次自动保存的画布，链接中带有公式时再载入公式，撤销即可回到恢复的画布
+        const restored = this.restoreAutosave();
+        if (!this.openSharedLink() && restored) {
+            this.showAlert('已恢复上次的画布', 'info');
+        }
+        this.setupAutosave();
         console.log('MathLogic 应用已启动');
     }
 
@@ -40,6 +61,18 @@ class MathLogicApp {
             }
         });
 
+        // 构建公式按钮
+        document.getElementById('parse-formula-btn').addEventListener('click', () => {
+            this.handleParseFormula();
+        });
+
+        // 公式输入框回车事件
+        document.getElementById('formula-input').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.handleParseFormula();
+            }
+        });
+
         // 运算符按钮
         document.querySelectorAll('.operator-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -52,10 +85,128 @@ class MathLogicApp {
             this.handleClear();
         });
 
+        document.getElementById('delete-btn').addEventListener('click', () => {
+            this.handleDelete();
+        });
+
+        document.getElementById('replace-btn').addEventListener('click', () => {
+            this.handleReplace();
+        });
+
+        document.getElementById('replace-input').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.handleReplace();
+            }
+        });
+
+        // Delete 或 Backspace 删除选中的元素，在输入框中或打开了对话框时不处理
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Delete' && e.key !== 'Backspace') return;
+            if (e.target.closest('input, textarea, select') || this.isModalOpen || this.isAnalysisModalOpen) return;
+            if (this.logicCore.selectedElements.length === 0) return;
+            e.preventDefault();
+            this.handleDelete();
+        });
+
+        document.getElementById('undo-btn').addEventListener('click', () => {
+            this.handleUndo();
+        });
+
+        document.getElementById('redo-btn').addEventListener('click', () => {
+            this.handleRedo();
+        });
+
+        document.getElementById('copy-link-btn').addEventListener('click', () => {
+            this.handleCopyLink();
+        });
+
+        // 在已打开的页面中访问另一个分享链接时，hash 改变但页面不会刷新
+        window.addEventListener('hashchange', () => {
+            this.openSharedLink();
+        });
+
+        document.getElementById('save-workspace-btn').addEventListener('click', () => {
+            this.handleSaveWorkspace();
+        });
+
+        document.getElementById('load-workspace-btn').addEventListener('click', () => {
+            document.getElementById('workspace-file-input').click();
+        });
+
+        document.getElementById('workspace-file-input').addEventListener('change', (e) => {
+            this.handleLoadWorkspace(e.target);
+        });
+
         document.getElementById('truth-table-btn').addEventListener('click', () => {
             this.handleTruthTable();
         });
 
+        document.getElementById('classify-btn').addEventListener('click', () => {
+            this.handleClassify();
+        });
+
+        document.getElementById('sat-btn').addEventListener('click', () => {
+            this.handleSat();
+        });
+
+        document.getElementById('models-btn').addEventListener('click', () => {
+            this.handleModels();
+        });
+
+        document.getElementById('evaluation-btn').addEventListener('click', () => {
+            this.handleEvaluation();
+        });
+
+        document.getElementById('circuit-btn').addEventListener('click', () => {
+            this.handleCircuit();
+        });
+
+        document.getElementById('normal-form-btn').addEventListener('click', () => {
+            this.handleNormalForms();
+        });
+
+        document.getElementById('karnaugh-btn').addEventListener('click', () => {
+            this.handleKarnaughMap();
+        });
+
+        // 等价判断按钮
+        document.getElementById('equivalence-btn').addEventListener('click', () => {
+            this.handleEquivalence();
+        });
+
+        // 论证判断按钮
+        document.getElementById('argument-btn').addEventListener('click', () => {
+            this.handleArgument();
+        });
+
+        // 归结反驳按钮
+        document.getElementById('resolution-btn').addEventListener('click', () => {
+            this.handleResolution();
+        });
+
+        // 自然演绎证明按钮
+        document.getElementById('proof-btn').addEventListener('click', () => {
+            this.handleProof();
+        });
+
+        // 等值演算按钮
+        document.getElementById('rewrite-btn').addEventListener('click', () => {
+            this.handleRewrite();
+        });
+
+        // 真值树按钮
+        document.getElementById('tableau-btn').addEventListener('click', () => {
+            this.handleTableau(false);
+        });
+
+        document.getElementById('tableau-practice-btn').addEventListener('click', () => {
+            this.handleTableau(true);
+        });
+
+        document.getElementById('tableau-exit-btn').addEventListener('click', () => {
+            this.uiController.hideTableau();
+        });
+
         document.getElementById('random-formula-btn').addEventListener('click', () => {
             this.handleRandomFormula();
         });
@@ -87,10 +238,17 @@ class MathLogicApp {
             this.closeModal();
         });
 
+        this.analysisModal = document.getElementById('analysis-modal');
+        this.analysisModal.querySelector('.close').addEventListener('click', () => {
+            this.closeAnalysisModal();
+        });
+
         // 点击模态框外部关闭
         window.addEventListener('click', (e) => {
             if (e.target === this.modal) {
                 this.closeModal();
+            } else if (e.target === this.analysisModal) {
+                this.closeAnalysisModal();
             }
         });
 
@@ -98,6 +256,8 @@ class MathLogicApp {
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.isModalOpen) {
                 this.closeModal();
+            } else if (e.key === 'Escape' && this.isAnalysisModalOpen) {
+                this.closeAnalysisModal();
             }
         });
     }
@@ -114,14 +274,25 @@ class MathLogicApp {
             return;
         }
 
-        const variables = this.logicCore.parseVariables(value);
+        let variables;
+        try {
+            variables = this.logicCore.parseVariables(value);
+        } catch (error) {
+            if (error instanceof LogicSyntaxError) {
+                this.showAlert(`变元输入有误，${error.message}`, 'error');
+                return;
+            }
+            throw error;
+        }
         
         if (variables.length === 0) {
-            this.showAlert('请输入有效的变元（如: p, q, r）', 'error');
+            this.showAlert('请输入有效的变元（如: p, q, r 或 p1, p2）', 'error');
             return;
         }
 
-        this.uiController.generateVariableElements(variables);
+        this.history.record(`生成变元 ${variables.join(', ')}`, () => {
+            this.uiController.generateVariableElements(variables);
+        });
         this.showAlert(`成功生成 ${variables.length} 个变元: ${variables.join(', ')}`, 'success');
         
         // 清空输入框
@@ -131,29 +302,80 @@ class MathLogicApp {
         this.uiController.addPulseEffect(document.getElementById('generate-btn'));
     }
 
+    /**
+     * 处理公式输入
+     */
+    handleParseFormula() {
+        const input = document.getElementById('formula-input');
+        const value = input.value.trim();
+        
+        if (!value) {
+            this.showAlert('请输入公式！', 'warning');
+            return;
+        }
+
+        let ast;
+        try {
+            ast = this.logicParser.parse(input.value);
+        } catch (error) {
+            if (error instanceof LogicSyntaxError) {
+                this.showAlert(`公式语法错误，${error.message}`, 'error');
+                // 定位到出错的字符
+                input.focus();
+                input.setSelectionRange(error.offset, error.offset + 1);
+                return;
+            }
+            throw error;
+        }
+
+        this.history.record(`构建公式 ${this.logicParser.format(ast)}`, () => {
+            this.uiController.buildFormulaElements(ast);
+        });
+        this.showAlert(`已构建公式: ${this.logicCore.currentExpression}`, 'success');
+        
+        // 添加脉冲效果
+        this.uiController.addPulseEffect(document.getElementById('parse-formula-btn'));
+    }
+
     /**
      * 处理运算符点击
      */
     handleOperatorClick(operator) {
+        const connective = this.logicCore.connectives[operator];
         const selectedCount = this.logicCore.selectedElements.length;
         
-        if (operator === '~' && selectedCount !== 1) {
-            this.showAlert('否定运算需要选择一个元素', 'warning');
+        if (connective.arity === 1 && selectedCount !== 1) {
+            this.showAlert(`${connective.title}运算需要选择一个元素`, 'warning');
             return;
         }
         
-        if (operator !== '~' && selectedCount !== 2) {
+        if (connective.arity === 2 && selectedCount !== 2) {
             this.showAlert('二元运算需要选择两个元素', 'warning');
             return;
         }
 
-        const success = this.logicCore.applyOperator(operator);
+        if (this.uiController.tableauView) {
+            this.uiController.hideTableau();
+        }
+
+        const label = connective.arity === 0 ? `添加常元 ${operator}` : `应用运算符 ${operator}`;
+        const elementCount = this.logicCore.elements.length;
+        const success = this.history.record(label, () => this.logicCore.applyOperator(operator));
         
         if (success) {
             this.uiController.render();
             this.uiController.updateOperatorButtonStates();
             this.uiController.updateExpressionDisplay();
-            this.showAlert(`成功应用运算符: ${operator}`, 'success');
+            if (connective.arity === 0) {
+                this.showAlert(`已添加常元: ${operator}`, 'success');
+            } else if (this.logicCore.elements.length === elementCount) {
+                // 画布上已有相同的子公式，共用该元素而不重复创建
+                this.showAlert(`${this.logicCore.currentExpression} 已在画布上，直接使用已有的元素`, 'info');
+            } else {
+                this.showAlert(`成功应用运算符: ${operator}`, 'success');
+            }
+        } else if (this.logicCore.selectedElements.some(id => this.logicCore.elements.find(e => e.id === id).broken)) {
+            this.showAlert('损坏的元素缺少运算对象，不能参与运算', 'error');
         } else {
             this.showAlert('运算失败，请检查选择的元素', 'error');
         }
@@ -168,10 +390,258 @@ class MathLogicApp {
             return;
         }
 
-        this.uiController.clearCanvas();
+        this.history.record('清空画布', () => this.uiController.clearCanvas());
         this.showAlert('画布已清空', 'success');
     }
 
+    /**
+     * 处理删除元素：按"编辑元素"中选择的方式处理依赖被删元素的公式
+     */
+    handleDelete() {
+        const selected = this.logicCore.selectedElements.slice();
+        if (selected.length === 0) {
+            this.showAlert('请先在画布上选择要删除的元素', 'warning');
+            return;
+        }
+        if (this.uiController.tableauView) {
+            this.showAlert('请先返回公式视图', 'warning');
+            return;
+        }
+
+        const keepDependents = document.getElementById('delete-mode').value === 'keep';
+        const texts = selected.map(id => this.logicCore.elements.find(e => e.id === id).text);
+        const result = this.history.record(`删除 ${texts.join(', ')}`, () => {
+            return this.logicCore.deleteElements(selected, keepDependents);
+        });
+        this.uiController.refresh();
+
+        if (result.broken.includes(this.logicCore.currentElementId)) {
+            this.showAlert(`已删除 ${result.removed.length} 个元素，当前表达式已损坏，请重新构建后再做分析`, 'warning');
+        } else if (result.broken.length > 0) {
+            this.showAlert(`已删除 ${result.removed.length} 个元素，${result.broken.length} 个依赖它的元素已标记为损坏`, 'warning');
+        } else {
+            this.showAlert(`已删除 ${result.removed.length} 个元素`, 'success');
+        }
+    }
+
+    /**
+     * 处理替换变元：把选中的叶子元素换成输入的变元或常元，依赖它的公式随之更新
+     */
+    handleReplace() {
+        const input = document.getElementById('replace-input');
+        const value = input.value.trim();
+
+        if (this.logicCore.selectedElements.length !== 1) {
+            this.showAlert('请在画布上选择一个要替换的变元', 'warning');
+            return;
+        }
+        if (!value) {
+            this.showAlert('请输入新的变元或常元', 'warning');
+            return;
+        }
+        if (this.uiController.tableauView) {
+            this.showAlert('请先返回公式视图', 'warning');
+            return;
+        }
+
+        const element = this.logicCore.elements.find(e => e.id === this.logicCore.selectedElements[0]);
+        const oldText = element.text;
+        let updated;
+        this.history.begin();
+        try {
+            updated = this.logicCore.replaceLeaf(element.id, value);
+        } catch (error) {
+            this.history.cancel();
+            this.showAlert(`替换失败: ${error.message}`, 'error');
+            return;
+        }
+        const newText = updated[0].text;
+        this.history.commit(`替换 ${oldText} 为 ${newText}`);
+
+        updated.forEach(changed => this.uiController.updateConnectionsForElement(changed));
+        this.uiController.refresh();
+        input.value = '';
+        this.showAlert(`已将 ${oldText} 替换为 ${newText}，更新了 ${updated.length - 1} 个依赖它的公式`, 'success');
+    }
+
+    /**
+     * 记录操作历史：拖动元素记为一次移动，历史改变时更新历史列表，并设置撤销、重做的快捷键
+     */
+    setupHistory() {
+        this.uiController.onDragStart = () => this.history.begin();
+        this.uiController.onDragEnd = (element) => this.history.commit(`移动 ${element.text}`);
+        this.history.onChange = () => this.updateHistoryPanel();
+        this.updateHistoryPanel();
+
+        // Ctrl+Z 撤销，Ctrl+Shift+Z 或 Ctrl+Y 重做；在输入框中时保留浏览器自身的撤销
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.closest('input, textarea, select')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.handleUndo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.handleRedo();
+            }
+        });
+    }
+
+    /**
+     * 更新历史列表和撤销、重做按钮的状态
+     */
+    updateHistoryPanel() {
+        this.history.render('history-list', (position) => this.handleHistoryJump(position));
+        document.getElementById('undo-btn').disabled = !this.history.canUndo();
+        document.getElementById('redo-btn').disabled = !this.history.canRedo();
+    }
+
+    /**
+     * 处理撤销
+     */
+    handleUndo() {
+        const command = this.history.undo();
+        if (!command) {
+            this.showAlert('没有可撤销的操作', 'info');
+            return;
+        }
+
+        this.uiController.refresh();
+        this.showAlert(`已撤销: ${command.label}`, 'info');
+    }
+
+    /**
+     * 处理重做
+     */
+    handleRedo() {
+        const command = this.history.redo();
+        if (!command) {
+            this.showAlert('没有可重做的操作', 'info');
+            return;
+        }
+
+        this.uiController.refresh();
+        this.showAlert(`已重做: ${command.label}`, 'info');
+    }
+
+    /**
+     * 处理点击历史列表：回到该项执行后的状态
+     */
+    handleHistoryJump(position) {
+        if (position === this.history.position) return;
+
+        this.history.jumpTo(position);
+        this.uiController.refresh();
+        this.showAlert(position === 0 ? '已回到初始状态' : `已回到: ${this.history.commands[position - 1].label}`, 'info');
+    }
+
+    /**
+     * 画布每次改变都自动保存，离开页面前立即保存
+     */
+    setupAutosave() {
+        this.uiController.onRender = () => this.workspace.scheduleAutosave();
+        window.addEventListener('beforeunload', () => this.workspace.autosave());
+    }
+
+    /**
+     * 恢复上次自动保存的画布，返回是否恢复了非空的画布；保存的内容损坏时提示用户
+     */
+    restoreAutosave() {
+        try {
+            return this.workspace.restoreAutosave();
+        } catch (error) {
+            this.showAlert('上次自动保存的画布已损坏，无法恢复', 'warning');
+            return false;
+        }
+    }
+
+    /**
+     * 按 URL hash 中的分享链接打开公式，返回是否打开了链接
+     * 打开后清除 hash，之后刷新页面恢复的是学生自己的画布，而不是重新载入链接
+     */
+    openSharedLink() {
+        let shared;
+        try {
+            shared = this.shareLink.decode(location.hash);
+        } catch (error) {
+            this.showAlert(`链接无效: ${error.message}`, 'error');
+            return false;
+        }
+        if (!shared) return false;
+
+        history.replaceState(null, '', `${location.pathname}${location.search}`);
+        this.history.record(`从链接载入 ${shared.expression}`, () => {
+            this.uiController.buildFormulaElements(this.logicParser.parse(shared.expression));
+        });
+        if (shared.mode === 'exercise') {
+            this.handleTruthTable();
+        } else {
+            this.showAlert(`已从链接载入公式: ${this.logicCore.currentExpression}`, 'success');
+        }
+        return true;
+    }
+
+    /**
+     * 处理复制链接：生成打开当前表达式的链接并复制到剪贴板
+     * 无法访问剪贴板时链接仍显示在输入框中，供手动复制
+     */
+    handleCopyLink() {
+        if (!this.logicCore.currentExpression) {
+            this.showAlert('请先构建一个逻辑表达式', 'warning');
+            return;
+        }
+
+        const mode = document.getElementById('share-mode').value;
+        const url = this.shareLink.createUrl(this.logicCore.currentExpression, mode);
+        const output = document.getElementById('share-link-output');
+        output.value = url;
+
+        const copied = navigator.clipboard
+            ? navigator.clipboard.writeText(url)
+            : Promise.reject(new Error('浏览器不支持剪贴板'));
+        copied.then(() => {
+            this.showAlert('链接已复制到剪贴板', 'success');
+        }).catch(() => {
+            output.select();
+            this.showAlert('无法访问剪贴板，请手动复制下方的链接', 'info');
+        });
+    }
+
+    /**
+     * 处理保存画布：下载工作区 JSON 文件
+     */
+    handleSaveWorkspace() {
+        if (this.logicCore.elements.length === 0) {
+            this.showAlert('画布是空的，没有可保存的内容', 'warning');
+            return;
+        }
+
+        this.workspace.exportFile();
+        this.showAlert('画布已保存为文件', 'success');
+    }
+
+    /**
+     * 处理打开画布：从选择的 JSON 文件恢复工作区
+     */
+    handleLoadWorkspace(input) {
+        const file = input.files[0];
+        // 清空选择，以便再次选择同一个文件时也能触发
+        input.value = '';
+        if (!file) return;
+
+        this.history.begin();
+        this.workspace.importFile(file).then(() => {
+            this.history.commit(`打开画布 ${file.name}`);
+            this.workspace.autosave();
+            this.showAlert(`已打开画布: ${file.name}`, 'success');
+        }).catch(error => {
+            this.history.commit(`打开画布 ${file.name}`);
+            this.showAlert(`打开画布失败: ${error.message}`, 'error');
+        });
+    }
+
     /**
      * 处理真值表生成
      */
@@ -182,15 +652,519 @@ class MathLogicApp {
         }
 
         try {
-            this.truthTableGenerator.generateTable(this.logicCore.currentExpression);
+            this.truthTableGenerator.generateTable(
+                this.logicCore.currentExpression,
+                this.getColumnOrder()
+            );
             this.truthTableGenerator.renderTable('truth-table-container');
             this.openModal();
             this.showAlert('真值表已生成', 'success');
         } catch (error) {
+            if (error instanceof TruthTableSizeError) {
+                this.handleSat(error);
+                return;
+            }
             this.showAlert(`生成真值表失败: ${error.message}`, 'error');
         }
     }
 
+    /**
+     * 处理公式类型判断
+     */
+    handleClassify() {
+        if (!this.logicCore.currentExpression) {
+            this.showAlert('请先构建一个逻辑表达式', 'warning');
+            return;
+        }
+
+        try {
+            const classification = this.classifyCurrentExpression();
+            this.truthTableGenerator.renderTable('truth-table-container');
+            this.openModal();
+            this.truthTableGenerator.revealAnswers();
+            this.truthTableGenerator.highlightWitnesses(classification);
+            this.truthTableGenerator.showClassification(classification);
+            this.showAlert(`公式类型: ${classification.label}`, 'success');
+        } catch (error) {
+            if (error instanceof TruthTableSizeError) {
+                this.handleSat(error);
+                return;
+            }
+            this.showAlert(`判断公式类型失败: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 处理 SAT 求解：判断当前表达式是否可满足、是否永真，并给出成真和成假赋值
+     * sizeError 为真值表过大时的 TruthTableSizeError，此时在结果上方说明改用了 SAT 求解
+     */
+    handleSat(sizeError = null) {
+        if (!this.logicCore.currentExpression) {
+            this.showAlert('请先构建一个逻辑表达式', 'warning');
+            return;
+        }
+
+        try {
+            const result = this.satSolver.analyze(this.logicCore.currentExpression);
+            this.satSolver.render(this.openAnalysisModal('SAT 求解'), result, this.satFallbackNote(sizeError));
+            this.showAlert(`${sizeError ? '真值表过大，已改用 SAT 求解，' : ''}公式类型: ${result.label}`, 'success');
+        } catch (error) {
+            this.showAlert(`SAT 求解失败: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 处理模型计数：统计当前表达式的成真赋值个数，并列出可筛选的成真赋值
+     */
+    handleModels() {
+        if (!this.logicCore.currentExpression) {
+            this.showAlert('请先构建一个逻辑表达式', 'warning');
+            return;
+        }
+
+        this.showModels({});
+    }
+
+    /**
+     * 按筛选条件显示成真赋值列表
+     */
+    showModels(filter) {
+        try {
+            const result = this.modelCounter.analyze(this.logicCore.currentExpression, filter);
+            this.modelCounter.render(this.openAnalysisModal('模型计数'), result,
+                (newFilter) => this.showModels(newFilter),
+                (model) => this.highlightModel(model));
+            this.showAlert(`成真赋值共 ${result.total} 个`, 'success');
+        } catch (error) {
+            this.showAlert(`模型计数失败: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 以该赋值开启实时求值，画布上的各元素按真值着色
+     */
+    highlightModel(model) {
+        this.closeAnalysisModal();
+        this.uiController.showAssignment(Object.assign({}, model));
+        this.showAlert(`已在画布上标出赋值: ${this.modelCounter.formatModel(model)}`, 'success');
+    }
+
+    /**
+     * 开启或关闭实时求值
+     */
+    handleEvaluation() {
+        if (this.uiController.assignment) {
+            this.uiController.hideAssignment();
+            this.showAlert('已关闭实时求值', 'info');
+            return;
+        }
+
+        if (this.uiController.tableauView) {
+            this.uiController.hideTableau();
+        }
+        this.uiController.showAssignment();
+        this.showAlert('点击变元开关翻转取值，画布上的真值会随之更新', 'success');
+    }
+
+    /**
+     * 切换门电路视图
+     */
+    handleCircuit() {
+        if (this.uiController.circuitView) {
+            this.uiController.hideCircuit();
+            this.showAlert('已返回公式视图', 'info');
+            return;
+        }
+
+        if (this.uiController.tableauView) {
+            this.uiController.hideTableau();
+        }
+        this.uiController.showCircuit();
+        this.showAlert('点击画布上的输入开关翻转取值，输出灯亮表示结果为真', 'success');
+    }
+
+    /**
+     * 真值表过大时结果上方的说明
+     */
+    satFallbackNote(sizeError) {
+        return sizeError ? `${sizeError.message}，已改用 SAT 求解` : '';
+    }
+
+    /**
+     * 真值表各列的排列顺序：画布上元素的构建顺序，损坏的元素不参与
+     */
+    getColumnOrder() {
+        return this.logicCore.elements
+            .filter(element => !element.broken)
+            .map(element => element.text);
+    }
+
+    /**
+     * 判断当前表达式的类型
+     * 返回 { type, label, satisfying, falsifying, witnesses }，type 为 'tautology'、'contradiction' 或 'contingency'
+     */
+    classifyCurrentExpression() {
+        this.truthTableGenerator.generateTable(
+            this.logicCore.currentExpression,
+            this.getColumnOrder()
+        );
+        return this.truthTableGenerator.classify();
+    }
+
+    /**
+     * 处理范式转换
+     */
+    handleNormalForms() {
+        if (!this.logicCore.currentExpression) {
+            this.showAlert('请先构建一个逻辑表达式', 'warning');
+            return;
+        }
+
+        try {
+            const result = this.normalFormConverter.convert(this.logicCore.currentExpression);
+            this.normalFormConverter.render(this.openAnalysisModal('范式'), result, (formula) => {
+                this.closeAnalysisModal();
+                this.loadFormula(formula);
+            });
+            this.showAlert('范式已生成', 'success');
+        } catch (error) {
+            this.showAlert(`范式转换失败: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 处理化简与卡诺图
+     */
+    handleKarnaughMap() {
+        if (!this.logicCore.currentExpression) {
+            this.showAlert('请先构建一个逻辑表达式', 'warning');
+            return;
+        }
+
+        try {
+            const result = this.normalFormConverter.minimize(this.logicCore.currentExpression);
+            this.karnaughMap.render(this.openAnalysisModal('化简与卡诺图'), result, (formula) => {
+                this.closeAnalysisModal();
+                this.loadFormula(formula);
+            });
+            this.showAlert(`最简与或式: ${result.sop}`, 'success');
+        } catch (error) {
+            this.showAlert(`化简失败: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 将公式载入画布，替换画布上的所有元素
+     */
+    loadFormula(formula) {
+        this.history.record(`载入公式 ${formula}`, () => {
+            this.uiController.buildFormulaElements(this.logicParser.parse(formula));
+        });
+        this.showAlert(`已载入公式: ${this.logicCore.currentExpression}`, 'success');
+    }
+
+    /**
+     * 处理等价判断
+     * 两个输入框都留空时，比较画布上选中的两个元素
+     */
+    handleEquivalence() {
+        let expression1 = document.getElementById('equivalence-input-a').value.trim();
+        let expression2 = document.getElementById('equivalence-input-b').value.trim();
+
+        if (!expression1 && !expression2) {
+            const selected = this.logicCore.selectedElements
+                .map(id => this.logicCore.elements.find(e => e.id === id));
+            if (selected.length !== 2) {
+                this.showAlert('请输入两个公式，或在画布上选择两个元素', 'warning');
+                return;
+            }
+            [expression1, expression2] = selected.map(element => element.text);
+        } else if (!expression1 || !expression2) {
+            this.showAlert('请输入两个公式', 'warning');
+            return;
+        }
+
+        try {
+            const result = this.truthTableGenerator.checkEquivalence(expression1, expression2);
+            this.truthTableGenerator.renderEquivalence(this.openAnalysisModal('等价判断'), result);
+            if (result.equivalent) {
+                this.showAlert('两式等价', 'success');
+            } else {
+                this.showAlert(`两式不等价，共 ${result.counterexamples.length} 个反例`, 'info');
+            }
+        } catch (error) {
+            if (error instanceof TruthTableSizeError) {
+                this.checkEquivalenceBySat(expression1, expression2, error);
+                return;
+            }
+            const label = error.expressionIndex === undefined ? '' : `公式 ${'AB'[error.expressionIndex]}，`;
+            this.showAlert(`等价判断失败: ${label}${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 真值表过大时改用 SAT 求解判断两式是否等价
+     */
+    checkEquivalenceBySat(expression1, expression2, sizeError) {
+        try {
+            const result = this.satSolver.checkEquivalence(expression1, expression2);
+            this.satSolver.render(this.openAnalysisModal('等价判断'), result, this.satFallbackNote(sizeError));
+            this.showAlert(result.equivalent ? '两式等价' : '两式不等价', result.equivalent ? 'success' : 'info');
+        } catch (error) {
+            this.showAlert(`等价判断失败: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 处理论证有效性判断
+     * 前提每行一个（也可用分号分隔），结论留空时使用当前表达式
+     */
+    handleArgument() {
+        const premises = this.readPremises();
+        const conclusion = document.getElementById('conclusion-input').value.trim() ||
+            this.logicCore.currentExpression;
+
+        if (!conclusion) {
+            this.showAlert('请输入结论', 'warning');
+            return;
+        }
+
+        try {
+            const result = this.truthTableGenerator.checkArgument(premises, conclusion);
+            this.truthTableGenerator.renderArgument(this.openAnalysisModal('论证有效性'), result);
+            if (result.valid) {
+                this.showAlert('论证有效', 'success');
+            } else {
+                this.showAlert(`论证无效，共 ${result.counterexamples.length} 个反例`, 'info');
+            }
+        } catch (error) {
+            if (error instanceof TruthTableSizeError) {
+                this.checkArgumentBySat(premises, conclusion, error);
+                return;
+            }
+            let label = '';
+            if (error.expressionIndex !== undefined) {
+                label = error.expressionIndex < premises.length ? `前提 ${error.expressionIndex + 1}，` : '结论，';
+            }
+            this.showAlert(`论证判断失败: ${label}${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 真值表过大时改用 SAT 求解判断论证是否有效
+     */
+    checkArgumentBySat(premises, conclusion, sizeError) {
+        try {
+            const result = this.satSolver.checkArgument(premises, conclusion);
+            this.satSolver.render(this.openAnalysisModal('论证有效性'), result, this.satFallbackNote(sizeError));
+            this.showAlert(result.valid ? '论证有效' : '论证无效', result.valid ? 'success' : 'info');
+        } catch (error) {
+            this.showAlert(`论证判断失败: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 处理等值演算
+     * 当前表达式与上一次演算的结果不同时，以当前表达式为原式重新开始
+     */
+    handleRewrite() {
+        if (!this.logicCore.currentExpression) {
+            this.showAlert('请先构建一个逻辑表达式', 'warning');
+            return;
+        }
+
+        try {
+            this.rewriteEngine.setTarget(document.getElementById('rewrite-target-input').value.trim());
+        } catch (error) {
+            this.showAlert(`目标公式有误: ${error.message}`, 'error');
+            return;
+        }
+
+        try {
+            if (this.rewriteEngine.currentExpression() !== this.logicCore.currentExpression) {
+                this.rewriteEngine.start(this.logicCore.currentExpression);
+            }
+        } catch (error) {
+            this.showAlert(`等值演算失败: ${error.message}`, 'error');
+            return;
+        }
+
+        const selected = this.logicCore.selectedElements
+            .map(id => this.logicCore.elements.find(e => e.id === id));
+        if (selected.length > 1) {
+            this.showAlert('请只选择一个子公式', 'warning');
+            return;
+        }
+
+        const selectedText = selected.length === 1 ? selected[0].text : null;
+        const options = selectedText === null ? null : this.rewriteEngine.findApplicable(selectedText);
+        if (selectedText !== null && options === null) {
+            this.showAlert(`${selectedText} 不是当前表达式的子公式`, 'warning');
+            return;
+        }
+
+        this.showRewritePanel(selectedText, options);
+    }
+
+    /**
+     * 显示演算过程与可用定律，应用定律后重建画布并选中改写后的子公式
+     */
+    showRewritePanel(selectedText, options) {
+        this.rewriteEngine.render(this.openAnalysisModal('等值演算'), selectedText, options, (option) => {
+            const step = this.rewriteEngine.apply(option);
+            const rewritten = this.history.record(`等值演算: ${step.law}`, () => {
+                this.uiController.buildFormulaElements(this.rewriteEngine.ast);
+
+                const element = this.logicCore.elements.find(e => e.text === step.after);
+                if (element) {
+                    this.logicCore.toggleSelection(element.id);
+                    this.uiController.render();
+                    this.uiController.updateOperatorButtonStates();
+                }
+                return element;
+            });
+
+            this.showRewritePanel(
+                rewritten ? rewritten.text : null,
+                rewritten ? this.rewriteEngine.findApplicable(rewritten.text) : null
+            );
+
+            if (this.rewriteEngine.isComplete()) {
+                this.showAlert(`已得到目标公式，共 ${this.rewriteEngine.steps.length - 1} 步`, 'success');
+            } else {
+                this.showAlert(`第 ${this.rewriteEngine.steps.length - 1} 步: ${step.law}`, 'info');
+            }
+        });
+    }
+
+    /**
+     * 读取"论证有效性"中填写的前提，每行一个（也可用分号分隔）
+     */
+    readPremises() {
+        return document.getElementById('premises-input').value
+            .split(/[\n;；]/)
+            .map(premise => premise.trim())
+            .filter(premise => premise !== '');
+    }
+
+    /**
+     * 处理归结反驳
+     * 前提与结论的读取方式与论证有效性判断相同
+     */
+    handleResolution() {
+        const premises = this.readPremises();
+        const conclusion = document.getElementById('conclusion-input').value.trim() ||
+            this.logicCore.currentExpression;
+
+        if (!conclusion) {
+            this.showAlert('请输入结论', 'warning');
+            return;
+        }
+
+        try {
+            const result = this.resolutionProver.refute(premises, conclusion);
+            this.resolutionProver.render(this.openAnalysisModal('归结反驳'), result);
+            if (result.refuted) {
+                this.showAlert('得到空子句，论证有效', 'success');
+            } else {
+                this.showAlert('子句集已饱和，论证无效', 'info');
+            }
+        } catch (error) {
+            let label = '';
+            if (error.expressionIndex !== undefined) {
+                label = error.expressionIndex < premises.length ? `前提 ${error.expressionIndex + 1}，` : '结论，';
+            }
+            this.showAlert(`归结失败: ${label}${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 处理自然演绎证明
+     * 证明为空时，以"论证有效性"中填写的前提和结论开始
+     */
+    handleProof() {
+        if (this.proofChecker.lines.length === 0) {
+            this.readPremises().forEach(premise => this.proofChecker.addLine({ formula: premise, rule: 'premise' }));
+            this.proofChecker.goal = document.getElementById('conclusion-input').value.trim();
+            if (this.proofChecker.lines.length === 0) {
+                this.proofChecker.addLine();
+            }
+        }
+
+        this.proofChecker.render(this.openAnalysisModal('自然演绎证明'), (result) => {
+            const errors = result.results.filter(message => message !== null).length;
+            if (result.complete) {
+                this.showAlert('证明正确', 'success');
+            } else if (errors > 0) {
+                const first = result.results.findIndex(message => message !== null);
+                this.showAlert(`共 ${errors} 行有误，第 ${first + 1} 行: ${result.results[first]}`, 'error');
+            } else if (result.goalError) {
+                this.showAlert(result.goalError, 'error');
+            } else {
+                this.showAlert('各步正确，但证明尚未完成', 'info');
+            }
+        });
+    }
+
+    /**
+     * 处理真值树
+     * practice 为 false 时自动构造整棵树，为 true 时由学生在画布上逐个点击公式展开
+     */
+    handleTableau(practice) {
+        if (!this.logicCore.currentExpression) {
+            this.showAlert('请先构建一个逻辑表达式', 'warning');
+            return;
+        }
+
+        try {
+            this.tableau.start(this.logicCore.currentExpression, document.getElementById('tableau-mode').value);
+            if (practice) {
+                this.uiController.showTableau(this.tableau, (node) => this.handleTableauExpand(node));
+                this.showAlert('点击画布上的公式，写出它的展开结果', 'info');
+            } else {
+                const result = this.tableau.build();
+                this.uiController.showTableau(this.tableau);
+                this.showAlert(this.tableau.describe(result), 'success');
+            }
+        } catch (error) {
+            this.showAlert(`构造真值树失败: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 练习模式下展开学生点击的结点，检查学生写出的展开结果
+     */
+    handleTableauExpand(node) {
+        if (!this.tableau.canExpand(node)) {
+            if (this.tableau.ruleKey(node.formula) === null) {
+                this.showAlert(`${node.text} 是文字，不需要展开`, 'info');
+            } else if (node.expanded) {
+                this.showAlert(`${node.text} 已经展开过了`, 'info');
+            } else {
+                this.showAlert(`${node.text} 下方的分支都已封闭，不需要展开`, 'info');
+            }
+            return;
+        }
+
+        this.tableau.renderExpansionForm(this.openAnalysisModal('展开公式'), node, (answer) => {
+            let outcome;
+            try {
+                outcome = this.tableau.checkExpansion(node, answer);
+            } catch (error) {
+                outcome = { correct: false, message: error.message };
+            }
+            if (!outcome.correct) {
+                return outcome;
+            }
+
+            this.closeAnalysisModal();
+            this.uiController.render();
+            const result = this.tableau.result();
+            this.showAlert(result.finished ? `真值树已完成: ${this.tableau.describe(result)}` : outcome.message, 'success');
+            return outcome;
+        });
+    }
+
     /**
      * 处理随机公式生成
      */
@@ -200,11 +1174,13 @@ class MathLogicApp {
         
         // 解析公式并生成变元
         const variables = this.logicCore.getVariablesFromExpression(formula);
-        this.uiController.generateVariableElements(variables);
-        
-        // 设置当前表达式
-        this.logicCore.currentExpression = formula;
-        this.uiController.updateExpressionDisplay();
+        this.history.record(`随机公式 ${formula}`, () => {
+            this.uiController.generateVariableElements(variables);
+
+            // 设置当前表达式
+            this.logicCore.currentExpression = formula;
+            this.uiController.updateExpressionDisplay();
+        });
         
         this.showAlert(`已生成随机公式: ${formula}`, 'success');
     }
@@ -255,26 +1231,10 @@ class MathLogicApp {
             radio.checked = false;
         });
 
-        // 重置表格样式
-        const tableRows = document.querySelectorAll('.truth-table tbody tr');
-        tableRows.forEach(row => {
-            row.classList.remove('correct', 'incorrect', 'unanswered');
-        });
-
-        // 隐藏正确答案列
-        const resultCells = document.querySelectorAll('.truth-table tbody tr td:nth-last-child(2)');
-        resultCells.forEach(cell => {
-            cell.style.display = 'none';
-        });
-
-        // 隐藏表头中的正确答案列
-        const thead = document.querySelector('.truth-table thead tr');
-        if (thead) {
-            const resultTh = thead.querySelector('th:nth-last-child(2)');
-            if (resultTh) {
-                resultTh.style.display = 'none';
-            }
-        }
+        // 重置表格样式并隐藏正确答案
+        this.truthTableGenerator.clearHighlights();
+        this.truthTableGenerator.clearWitnesses();
+        this.truthTableGenerator.hideAnswers();
 
         // 隐藏结果显示和统计信息
         const resultDisplay = document.getElementById('result-display');
@@ -282,10 +1242,9 @@ class MathLogicApp {
         resultDisplay.className = '';
 
         const container = document.getElementById('truth-table-container');
-        const existingStats = container.querySelector('.answer-statistics');
-        if (existingStats) {
-            existingStats.remove();
-        }
+        container.querySelectorAll('.answer-statistics, .classification-summary').forEach(element => {
+            element.remove();
+        });
 
         // 隐藏重新答题按钮
         document.getElementById('reset-answers-btn').style.display = 'none';
@@ -329,10 +1288,7 @@ class MathLogicApp {
         
         // 重置真值表样式
         setTimeout(() => {
-            const tableRows = document.querySelectorAll('.truth-table tbody tr');
-            tableRows.forEach(row => {
-                row.classList.remove('correct', 'incorrect', 'unanswered');
-            });
+            this.truthTableGenerator.clearHighlights();
         }, 100);
     }
 
@@ -345,6 +1301,25 @@ class MathLogicApp {
         this.truthTableGenerator.reset();
     }
 
+    /**
+     * 打开分析结果模态框，返回内容容器的 id
+     */
+    openAnalysisModal(title) {
+        document.getElementById('analysis-modal-title').textContent = title;
+        this.analysisModal.style.display = 'block';
+        this.isAnalysisModalOpen = true;
+        return 'analysis-container';
+    }
+
+    /**
+     * 关闭分析结果模态框
+     */
+    closeAnalysisModal() {
+        this.analysisModal.style.display = 'none';
+        this.isAnalysisModalOpen = false;
+        document.getElementById('analysis-container').innerHTML = '';
+    }
+
     /**
      * 显示提示信息
      */
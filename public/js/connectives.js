@@ -0,0 +1,92 @@
+/**
+ * 联结词注册表
+ * 解析、格式化、求值、画布运算符按钮和随机公式都从这里读取联结词，
+ * 新增联结词只需在此登记一项，登记顺序即运算符按钮的排列顺序
+ *
+ * arity 为 0 的项是常元，其余为运算符：
+ *   precedence    优先级，数值越大结合越紧
+ *   associativity 'left'、'right' 或 'none'（连用时必须加括号）
+ *   evaluate      真值函数
+ * aliases 为输入时可用的 ASCII 与 LaTeX 写法，解析时统一规范化为标准符号；
+ * 由字母组成的别名（如 v）只在前后都是空白时才是运算符，否则仍是变元名
+ */
+const CONNECTIVES = {
+    '∧': {
+        arity: 2,
+        title: '合取(与)',
+        precedence: 6,
+        associativity: 'left',
+        evaluate: (a, b) => a && b,
+        aliases: ['&', '&&', '/\\', '\\land', '\\wedge']
+    },
+    '∨': {
+        arity: 2,
+        title: '析取(或)',
+        precedence: 4,
+        associativity: 'left',
+        evaluate: (a, b) => a || b,
+        aliases: ['|', '||', '\\/', 'v', '\\lor', '\\vee']
+    },
+    '~': {
+        arity: 1,
+        title: '否定(非)',
+        precedence: 7,
+        evaluate: a => !a,
+        aliases: ['!', '-', '¬', '\\neg', '\\lnot']
+    },
+    '→': {
+        arity: 2,
+        title: '蕴含',
+        precedence: 2,
+        associativity: 'right',
+        evaluate: (a, b) => !a || b,
+        aliases: ['->', '=>', '⇒', '\\to', '\\rightarrow', '\\Rightarrow', '\\implies']
+    },
+    '↔': {
+        arity: 2,
+        title: '双条件',
+        precedence: 1,
+        associativity: 'left',
+        evaluate: (a, b) => a === b,
+        aliases: ['<->', '<=>', '⇔', '\\leftrightarrow', '\\Leftrightarrow', '\\iff']
+    },
+    '⊕': {
+        arity: 2,
+        title: '异或',
+        precedence: 1,
+        associativity: 'left',
+        evaluate: (a, b) => a !== b,
+        aliases: ['⊻', '\\oplus', '\\veebar']
+    },
+    '↑': {
+        arity: 2,
+        title: '与非(Sheffer 竖)',
+        precedence: 5,
+        associativity: 'none',
+        evaluate: (a, b) => !(a && b),
+        aliases: ['\\uparrow']
+    },
+    '↓': {
+        arity: 2,
+        title: '或非(Peirce 箭头)',
+        precedence: 3,
+        associativity: 'none',
+        evaluate: (a, b) => !(a || b),
+        aliases: ['\\downarrow']
+    },
+    '⊤': {
+        arity: 0,
+        title: '永真(常元)',
+        value: true,
+        aliases: ['\\top']
+    },
+    '⊥': {
+        arity: 0,
+        title: '永假(常元)',
+        value: false,
+        aliases: ['\\bot']
+    }
+};
+
+// 导出到全局作用域
+window.CONNECTIVES = CONNECTIVES;
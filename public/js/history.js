@@ -0,0 +1,171 @@
+/**
+ * 画布操作历史（撤销与重做）
+ * 每条命令记录操作前后的画布快照，撤销时恢复操作前的快照，重做时恢复操作后的快照
+ */
+
+// 最多保留的命令条数，超过时丢弃最早的命令
+const MAX_HISTORY = 100;
+
+class HistoryManager {
+    constructor(logicCore) {
+        this.logicCore = logicCore;
+        // 命令列表，每项为 { label, before, after }
+        this.commands = [];
+        // 已执行的命令条数，commands[position] 及之后的命令已被撤销，可以重做
+        this.position = 0;
+        // begin 时记下的快照，commit 时与当前画布比较
+        this.pending = null;
+        // 历史改变后调用
+        this.onChange = null;
+    }
+
+    /**
+     * 画布快照：元素、连接线、选择状态、当前表达式及其对应的元素
+     */
+    snapshot() {
+        const core = this.logicCore;
+        return JSON.stringify({
+            elements: core.elements,
+            connections: core.connections,
+            selectedElements: core.selectedElements,
+            currentExpression: core.currentExpression,
+            currentElementId: core.currentElementId,
+            nextElementId: core.nextElementId
+        });
+    }
+
+    /**
+     * 把画布恢复为快照
+     */
+    restoreSnapshot(snapshot) {
+        const data = JSON.parse(snapshot);
+        Object.assign(this.logicCore, data);
+    }
+
+    /**
+     * 开始一次操作，记下操作前的快照
+     */
+    begin() {
+        this.pending = this.snapshot();
+    }
+
+    /**
+     * 放弃 begin 开始的操作，不记录命令
+     */
+    cancel() {
+        this.pending = null;
+    }
+
+    /**
+     * 结束操作，画布确有改变时记为一条命令，并清除可重做的命令
+     */
+    commit(label) {
+        if (this.pending === null) return;
+
+        const before = this.pending;
+        const after = this.snapshot();
+        this.pending = null;
+        if (before === after) return;
+
+        this.commands.splice(this.position);
+        this.commands.push({ label: label, before: before, after: after });
+        if (this.commands.length > MAX_HISTORY) {
+            this.commands.shift();
+        }
+        this.position = this.commands.length;
+        this.changed();
+    }
+
+    /**
+     * 执行 action 并记为一条命令，返回 action 的返回值
+     */
+    record(label, action) {
+        this.begin();
+        const result = action();
+        this.commit(label);
+        return result;
+    }
+
+    /**
+     * 是否有可撤销的命令
+     */
+    canUndo() {
+        return this.position > 0;
+    }
+
+    /**
+     * 是否有可重做的命令
+     */
+    canRedo() {
+        return this.position < this.commands.length;
+    }
+
+    /**
+     * 撤销最近的命令，返回被撤销的命令，没有可撤销的命令时返回 null
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+        const command = this.commands[--this.position];
+        this.restoreSnapshot(command.before);
+        this.changed();
+        return command;
+    }
+
+    /**
+     * 重做最近撤销的命令，返回被重做的命令，没有可重做的命令时返回 null
+     */
+    redo() {
+        if (!this.canRedo()) return null;
+        const command = this.commands[this.position++];
+        this.restoreSnapshot(command.after);
+        this.changed();
+        return command;
+    }
+
+    /**
+     * 回到执行完前 position 条命令时的状态，0 为最早的状态
+     */
+    jumpTo(position) {
+        if (position < 0 || position > this.commands.length || position === this.position) return;
+        this.position = position;
+        this.restoreSnapshot(position === 0 ? this.commands[0].before : this.commands[position - 1].after);
+        this.changed();
+    }
+
+    /**
+     * 通知历史已改变
+     */
+    changed() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * 渲染历史列表：当前状态高亮，已撤销的命令变灰，点击任一项回到该项执行后的状态
+     */
+    render(containerId, onJump) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.innerHTML = '';
+        const items = [{ label: '初始状态' }].concat(this.commands);
+        items.forEach((command, position) => {
+            const li = document.createElement('li');
+            li.className = 'history-item';
+            if (position === this.position) li.classList.add('current');
+            if (position > this.position) li.classList.add('undone');
+            li.textContent = command.label;
+            li.addEventListener('click', () => onJump(position));
+            container.appendChild(li);
+        });
+
+        const current = container.querySelector('.current');
+        if (current && current.scrollIntoView) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    }
+}
+
+// 导出到全局作用域
+window.HistoryManager = HistoryManager;
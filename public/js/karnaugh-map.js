@@ -0,0 +1,406 @@
+/**
+ * 卡诺图
+ * 显示最简与或式的质蕴含项分组，并检查学生自己圈出的分组
+ */
+
+// 卡诺图最多支持的变元个数
+const KARNAUGH_MAX_VARIABLES = 4;
+
+// 各位数对应的格雷码顺序，相邻两格只相差一位
+const GRAY_CODES = {
+    0: [0],
+    1: [0, 1],
+    2: [0, 1, 3, 2]
+};
+
+// 分组的描边颜色，依次循环使用
+const KARNAUGH_GROUP_COLORS = ['#e53935', '#1e88e5', '#43a047', '#fb8c00', '#8e24aa', '#00897b', '#6d4c41', '#d81b60'];
+
+class KarnaughMap {
+    constructor(normalFormConverter) {
+        this.converter = normalFormConverter;
+        this.result = null;
+        this.groups = [];
+        this.picked = new Set();
+        this.showSolution = false;
+        this.container = null;
+    }
+
+    /**
+     * 是否能为这些变元画出卡诺图
+     */
+    supports(variables) {
+        return variables.length >= 1 && variables.length <= KARNAUGH_MAX_VARIABLES;
+    }
+
+    /**
+     * 卡诺图的行列布局：前一半变元作为行，其余作为列，均按格雷码排列
+     * 返回 { rowVariables, columnVariables, rows, columns }，rows 与 columns 为各行列的编码
+     */
+    layout(variables) {
+        const rowBits = Math.floor(variables.length / 2);
+        return {
+            rowVariables: variables.slice(0, rowBits),
+            columnVariables: variables.slice(rowBits),
+            rows: GRAY_CODES[rowBits],
+            columns: GRAY_CODES[variables.length - rowBits]
+        };
+    }
+
+    /**
+     * 由一组编号求出它们构成的蕴含项
+     * 编号恰好构成一个矩形分组（2 的幂个格子，可跨边界相邻）时返回蕴含项，否则返回 null
+     */
+    groupFromCells(indices, variableCount) {
+        if (indices.length === 0) return null;
+
+        const bits = indices.map(index => this.converter.toImplicant(index, variableCount));
+        let implicant = '';
+        for (let i = 0; i < variableCount; i++) {
+            implicant += bits.every(code => code[i] === bits[0][i]) ? bits[0][i] : '-';
+        }
+
+        const size = Math.pow(2, variableCount - this.converter.literalCount(implicant));
+        return size === indices.length ? implicant : null;
+    }
+
+    /**
+     * 蕴含项对应的合取式文本
+     */
+    termText(implicant) {
+        return this.converter.parser.format(this.converter.toConjunction(implicant, this.result.variables));
+    }
+
+    /**
+     * 将选中的格子加为一个分组
+     * 返回 { success, message }
+     */
+    addGroup() {
+        const indices = Array.from(this.picked);
+        const implicant = this.groupFromCells(indices, this.result.variables.length);
+
+        if (indices.length === 0) {
+            return { success: false, message: '请先在卡诺图上点击要圈在一起的格子' };
+        }
+        if (implicant === null) {
+            return { success: false, message: '分组必须是 1、2、4 或 8 个相邻格子组成的矩形（可跨边界）' };
+        }
+        if (indices.some(index => !this.result.minterms.includes(index))) {
+            return { success: false, message: '分组中不能含有 0' };
+        }
+        if (this.groups.includes(implicant)) {
+            return { success: false, message: `分组 ${this.termText(implicant)} 已经存在` };
+        }
+
+        this.groups.push(implicant);
+        this.picked.clear();
+        return { success: true, message: `已添加分组 ${this.termText(implicant)}` };
+    }
+
+    /**
+     * 检查学生的分组
+     * 返回 { correct, minimal, uncovered, nonPrime, redundant }
+     */
+    checkGroups() {
+        const covered = (index, groups) => groups.some(implicant => this.converter.covers(implicant, index));
+        const uncovered = this.result.minterms.filter(index => !covered(index, this.groups));
+        const nonPrime = this.groups.filter(implicant => !this.result.primes.includes(implicant));
+
+        // 依次去掉分组：连同前面已判为多余的分组一起去掉后，其余分组仍能覆盖原来圈中的所有 1，才是多余的
+        // 循环覆盖中每个分组单独去掉都不影响覆盖，但不能全部去掉，这样判出的多余分组可以同时去掉
+        const coveredMinterms = this.result.minterms.filter(index => covered(index, this.groups));
+        const redundant = [];
+        this.groups.forEach(implicant => {
+            const remaining = this.groups.filter(other => other !== implicant && !redundant.includes(other));
+            if (coveredMinterms.every(index => covered(index, remaining))) {
+                redundant.push(implicant);
+            }
+        });
+
+        const literals = groups => groups.reduce((sum, implicant) => sum + this.converter.literalCount(implicant), 0);
+        const correct = uncovered.length === 0 && nonPrime.length === 0 && redundant.length === 0;
+
+        return {
+            correct: correct,
+            minimal: correct &&
+                this.groups.length === this.result.cover.length &&
+                literals(this.groups) === literals(this.result.cover),
+            uncovered: uncovered,
+            nonPrime: nonPrime,
+            redundant: redundant
+        };
+    }
+
+    /**
+     * 渲染化简结果与卡诺图
+     * onLoad 在点击"载入画布"时以最简与或式调用
+     */
+    render(containerId, result, onLoad) {
+        this.container = document.getElementById(containerId);
+        if (!this.container || !result) return;
+
+        this.result = result;
+        this.groups = [];
+        this.picked.clear();
+        this.showSolution = false;
+        this.container.innerHTML = '';
+
+        const summaryDiv = document.createElement('div');
+        summaryDiv.className = 'analysis-summary';
+
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'analysis-label';
+        labelSpan.textContent = result.expression;
+
+        const detailSpan = document.createElement('span');
+        detailSpan.textContent = result.variables.length > 0
+            ? `极小项 Σm(${result.minterms.join(', ')})，共 ${result.primes.length} 个质蕴含项`
+            : '表达式中没有变元';
+
+        summaryDiv.appendChild(labelSpan);
+        summaryDiv.appendChild(detailSpan);
+        this.container.appendChild(summaryDiv);
+
+        if (!this.supports(result.variables)) {
+            if (result.variables.length > KARNAUGH_MAX_VARIABLES) {
+                const note = document.createElement('div');
+                note.className = 'practice-feedback';
+                note.textContent = `变元超过 ${KARNAUGH_MAX_VARIABLES} 个，不显示卡诺图`;
+                this.container.appendChild(note);
+            }
+            this.container.appendChild(this.createSolution(onLoad));
+            return;
+        }
+
+        this.container.appendChild(this.createMap());
+
+        const actions = document.createElement('div');
+        actions.className = 'kmap-actions';
+        [
+            ['添加分组', 'btn-primary', () => this.showMessage(this.addGroup())],
+            ['检查分组', 'btn-success', () => this.showCheck()],
+            ['显示答案', 'btn-secondary', (btn) => {
+                this.showSolution = !this.showSolution;
+                btn.textContent = this.showSolution ? '隐藏答案' : '显示答案';
+                this.refresh();
+            }]
+        ].forEach(([text, style, handler]) => {
+            const btn = document.createElement('button');
+            btn.className = `btn ${style} btn-inline`;
+            btn.textContent = text;
+            btn.addEventListener('click', () => handler(btn));
+            actions.appendChild(btn);
+        });
+        this.container.appendChild(actions);
+
+        const feedback = document.createElement('div');
+        feedback.className = 'practice-feedback';
+        this.container.appendChild(feedback);
+
+        const groupList = document.createElement('div');
+        groupList.className = 'kmap-groups';
+        this.container.appendChild(groupList);
+
+        const solution = this.createSolution(onLoad);
+        solution.classList.add('kmap-solution');
+        this.container.appendChild(solution);
+
+        this.refresh();
+    }
+
+    /**
+     * 创建卡诺图表格，每个格子为 td.kmap-cell[data-index]
+     */
+    createMap() {
+        const { rowVariables, columnVariables, rows, columns } = this.layout(this.result.variables);
+        const code = (value, length) => value.toString(2).padStart(length, '0');
+
+        const table = document.createElement('table');
+        table.className = 'karnaugh-map';
+
+        const headerRow = document.createElement('tr');
+        const corner = document.createElement('th');
+        corner.textContent = `${rowVariables.join('')}\\${columnVariables.join('')}`;
+        headerRow.appendChild(corner);
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = code(column, columnVariables.length);
+            headerRow.appendChild(th);
+        });
+        table.appendChild(headerRow);
+
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            const th = document.createElement('th');
+            th.textContent = rowVariables.length > 0 ? code(row, rowVariables.length) : '';
+            tr.appendChild(th);
+
+            columns.forEach(column => {
+                const index = (row << columnVariables.length) | column;
+                const td = document.createElement('td');
+                td.className = 'kmap-cell';
+                td.dataset.index = index;
+                td.title = `m${index}`;
+                td.textContent = this.result.minterms.includes(index) ? '1' : '0';
+                td.addEventListener('click', () => {
+                    if (this.picked.has(index)) {
+                        this.picked.delete(index);
+                    } else {
+                        this.picked.add(index);
+                    }
+                    this.refresh();
+                });
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+
+        return table;
+    }
+
+    /**
+     * 创建答案部分：最简与或式与全部质蕴含项
+     * 鼠标移到质蕴含项上时在卡诺图中高亮对应的格子
+     */
+    createSolution(onLoad) {
+        const section = document.createElement('div');
+        section.className = 'normal-form';
+
+        const header = document.createElement('div');
+        header.className = 'normal-form-header';
+
+        const titleSpan = document.createElement('span');
+        titleSpan.className = 'normal-form-title';
+        titleSpan.textContent = '最简与或式';
+
+        const loadBtn = document.createElement('button');
+        loadBtn.className = 'btn btn-secondary btn-inline';
+        loadBtn.textContent = '载入画布';
+        loadBtn.addEventListener('click', () => onLoad(this.result.sop));
+
+        header.appendChild(titleSpan);
+        header.appendChild(loadBtn);
+
+        const formulaDiv = document.createElement('div');
+        formulaDiv.className = 'normal-form-formula';
+        formulaDiv.textContent = this.result.sop;
+
+        section.appendChild(header);
+        section.appendChild(formulaDiv);
+
+        const list = document.createElement('ul');
+        list.className = 'kmap-implicants';
+        this.result.primes.forEach(implicant => {
+            const item = document.createElement('li');
+            const tags = [];
+            if (this.result.essential.includes(implicant)) tags.push('必要');
+            if (this.result.cover.includes(implicant)) tags.push('选用');
+            item.textContent = `${this.termText(implicant)}  (${implicant})${tags.length > 0 ? `  ${tags.join('，')}` : ''}`;
+            item.addEventListener('mouseenter', () => this.highlightImplicant(implicant));
+            item.addEventListener('mouseleave', () => this.highlightImplicant(null));
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+
+        return section;
+    }
+
+    /**
+     * 高亮蕴含项覆盖的格子，implicant 为 null 时取消高亮
+     */
+    highlightImplicant(implicant) {
+        this.container.querySelectorAll('.kmap-cell').forEach(cell => {
+            const index = parseInt(cell.dataset.index);
+            cell.classList.toggle('highlighted', implicant !== null && this.converter.covers(implicant, index));
+        });
+    }
+
+    /**
+     * 刷新卡诺图的格子状态和分组列表
+     * 显示答案时描出最小覆盖的各分组，否则描出学生的分组
+     */
+    refresh() {
+        const groups = this.showSolution ? this.result.cover : this.groups;
+
+        this.container.querySelectorAll('.kmap-cell').forEach(cell => {
+            const index = parseInt(cell.dataset.index);
+            cell.classList.toggle('picked', this.picked.has(index));
+
+            // 一个格子可能属于多个分组，用逐层加宽的内描边叠加显示
+            const shadows = [];
+            groups.forEach((implicant, i) => {
+                if (this.converter.covers(implicant, index)) {
+                    const color = KARNAUGH_GROUP_COLORS[i % KARNAUGH_GROUP_COLORS.length];
+                    shadows.push(`inset 0 0 0 ${(shadows.length + 1) * 3}px ${color}`);
+                }
+            });
+            cell.style.boxShadow = shadows.join(', ');
+        });
+
+        const solution = this.container.querySelector('.kmap-solution');
+        if (solution) {
+            solution.style.display = this.showSolution ? 'block' : 'none';
+        }
+
+        const groupList = this.container.querySelector('.kmap-groups');
+        groupList.innerHTML = '';
+        this.groups.forEach((implicant, i) => {
+            const chip = document.createElement('span');
+            chip.className = 'kmap-group';
+            chip.style.borderLeftColor = KARNAUGH_GROUP_COLORS[i % KARNAUGH_GROUP_COLORS.length];
+            chip.textContent = this.termText(implicant);
+
+            const removeBtn = document.createElement('span');
+            removeBtn.className = 'kmap-group-remove';
+            removeBtn.textContent = '×';
+            removeBtn.title = '删除分组';
+            removeBtn.addEventListener('click', () => {
+                this.groups.splice(i, 1);
+                this.refresh();
+            });
+
+            chip.appendChild(removeBtn);
+            groupList.appendChild(chip);
+        });
+    }
+
+    /**
+     * 显示操作结果
+     */
+    showMessage(outcome) {
+        const feedback = this.container.querySelector('.practice-feedback');
+        feedback.textContent = outcome.message;
+        feedback.className = `practice-feedback ${outcome.success ? 'correct' : 'incorrect'}`;
+        this.refresh();
+    }
+
+    /**
+     * 检查分组并显示结果
+     */
+    showCheck() {
+        const check = this.checkGroups();
+        const messages = [];
+
+        if (check.uncovered.length > 0) {
+            messages.push(`尚有 ${check.uncovered.length} 个 1 未被圈中: ${check.uncovered.map(index => `m${index}`).join(', ')}`);
+        }
+        check.nonPrime.forEach(implicant => {
+            messages.push(`分组 ${this.termText(implicant)} 还可以扩大`);
+        });
+        check.redundant.forEach(implicant => {
+            messages.push(`分组 ${this.termText(implicant)} 是多余的`);
+        });
+
+        const expression = this.converter.formatDNF(this.converter.sortImplicants(this.groups), this.result.variables);
+        if (check.minimal) {
+            messages.push(`分组正确，得到最简与或式: ${expression}`);
+        } else if (check.correct) {
+            messages.push(`分组正确，得到 ${expression}，但还不是最简（最简需要 ${this.result.cover.length} 个分组）`);
+        }
+
+        this.showMessage({ success: check.minimal, message: messages.join('；') });
+    }
+}
+
+// 导出到全局作用域
+window.KarnaughMap = KarnaughMap;
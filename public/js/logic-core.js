@@ -5,33 +5,31 @@
 
 class LogicCore {
     constructor() {
-        this.operators = ['∧', '∨', '~', '→', '↔'];
+        this.connectives = CONNECTIVES;
         this.variables = [];
         this.elements = [];
         this.connections = [];
         this.selectedElements = [];
         this.currentExpression = '';
+        // 当前表达式对应的元素，当前表达式随该元素的文本更新；随机公式等不在画布上的表达式为 null
+        this.currentElementId = null;
         this.nextElementId = 1;
+        this.parser = new LogicParser(this.connectives);
     }
 
     /**
-     * 检查字符是否为变元
+     * 获取指定元数的联结词符号（0 为常元，1 为一元，2 为二元）
      */
-    isVariable(char) {
-        return /^[a-zA-Z]$/.test(char) && !this.operators.includes(char);
+    getConnectives(arity) {
+        return Object.keys(this.connectives).filter(symbol => this.connectives[symbol].arity === arity);
     }
 
     /**
      * 解析输入的变元字符串
+     * 如 "pq" 或 "p1, p2, rain"，变元名有误时抛出 LogicSyntaxError
      */
     parseVariables(input) {
-        const vars = [];
-        for (let char of input) {
-            if (this.isVariable(char) && !vars.includes(char)) {
-                vars.push(char);
-            }
-        }
-        return vars;
+        return this.parser.parseVariableList(input);
     }
 
     /**
@@ -39,43 +37,66 @@ class LogicCore {
      */
     generateRandomFormula(variableCount = 2) {
         const vars = ['p', 'q', 'r', 's', 't'].slice(0, Math.max(2, variableCount));
-        const operators = ['∧', '∨', '→', '↔'];
+        const binaryOperators = this.getConnectives(2);
+        const unaryOperators = this.getConnectives(1);
+        const constants = this.getConnectives(0);
+        const pick = list => list[Math.floor(Math.random() * list.length)];
         
-        let result = vars[0];
+        let result = LogicNodes.variable(vars[0]);
         
         for (let i = 0; i < variableCount - 1; i++) {
-            const operator = operators[Math.floor(Math.random() * operators.length)];
-            const variable = vars[Math.floor(Math.random() * vars.length)];
+            const operator = pick(binaryOperators);
+            let operand = LogicNodes.variable(pick(vars));
+            
+            if (constants.length > 0 && Math.random() < 0.1) {
+                // 10% 概率使用常元
+                operand = LogicNodes.constant(this.connectives[pick(constants)].value);
+            }
             
             if (Math.random() < 0.3) {
                 // 30% 概率添加否定
-                result = `(~${result})`;
+                result = LogicNodes.unary(pick(unaryOperators), result);
             }
             
-            result = `(${result}${operator}${variable})`;
+            result = LogicNodes.binary(operator, result, operand);
         }
         
-        return result;
+        return this.parser.format(result);
     }
 
     /**
      * 创建新的逻辑元素
+     * structure 为 { operator, name, children }：变元的 operator 为 null、name 为变元名，
+     * 常元的 operator 为常元符号，运算元素的 children 为运算对象的 id（二元运算按左、右顺序）
+     * 元素的文本由结构生成
      */
-    createElement(text, x, y) {
+    createElement(structure, x, y) {
         const element = {
             id: this.nextElementId++,
-            text: text,
+            operator: structure.operator || null,
+            name: structure.name || null,
+            children: structure.children ? structure.children.slice() : [],
+            text: '',
             x: x,
             y: y,
-            width: this.calculateTextWidth(text) + 20,
+            width: 0,
             height: 30,
-            isSelected: false
+            isSelected: false,
+            broken: false
         };
-        
+        this.setElementText(element, this.parser.format(this.getElementAST(element)));
+
         this.elements.push(element);
         return element;
     }
 
+    /**
+     * 创建变元元素
+     */
+    createVariable(name, x, y) {
+        return this.createElement({ name: name }, x, y);
+    }
+
     /**
      * 计算文本宽度（简单估算）
      */
@@ -111,35 +132,42 @@ class LogicCore {
      * 应用运算符
      */
     applyOperator(operator) {
-        if (operator === '~' && this.selectedElements.length === 1) {
-            return this.applyNegation();
-        } else if (operator !== '~' && this.selectedElements.length === 2) {
+        const connective = this.connectives[operator];
+        if (!connective) return false;
+
+        if (connective.arity === 0) {
+            return this.addConstant(operator);
+        } else if (connective.arity === 1 && this.selectedElements.length === 1) {
+            return this.applyNegation(operator);
+        } else if (connective.arity === 2 && this.selectedElements.length === 2) {
             return this.applyBinaryOperator(operator);
         }
         return false;
     }
 
     /**
-     * 应用否定运算
+     * 在画布上添加常元元素
+     */
+    addConstant(symbol) {
+        const y = this.elements.reduce((max, element) => Math.max(max, element.y + 50), 50);
+        this.createElement({ operator: symbol }, 20, y);
+        return true;
+    }
+
+    /**
+     * 应用否定（一元）运算
      */
-    applyNegation() {
+    applyNegation(operator = '~') {
         const elementId = this.selectedElements[0];
         const element = this.elements.find(e => e.id === elementId);
         
-        if (!element) return false;
-
-        const newText = `(~${element.text})`;
-        const newElement = this.createElement(
-            newText, 
-            element.x + element.width + 100, 
-            element.y
-        );
+        // 损坏的元素缺少运算对象，不能再参与运算
+        if (!element || element.broken) return false;
 
-        // 创建连接线
-        this.createConnection(element, newElement);
+        const newElement = this.negateElement(element, operator);
         
         // 更新当前表达式
-        this.currentExpression = newText;
+        this.setCurrentElement(newElement);
         
         // 清除选择
         this.clearSelection();
@@ -156,20 +184,12 @@ class LogicCore {
         const element1 = this.elements.find(e => e.id === this.selectedElements[0]);
         const element2 = this.elements.find(e => e.id === this.selectedElements[1]);
         
-        if (!element1 || !element2) return false;
-
-        const newText = `(${element1.text}${operator}${element2.text})`;
-        const newX = Math.max(element1.x + element1.width, element2.x + element2.width) + 100;
-        const newY = (element1.y + element2.y) / 2;
-        
-        const newElement = this.createElement(newText, newX, newY);
+        if (!element1 || !element2 || element1.broken || element2.broken) return false;
 
-        // 创建连接线
-        this.createConnection(element1, newElement);
-        this.createConnection(element2, newElement);
+        const newElement = this.combineElements(operator, element1, element2);
         
         // 更新当前表达式
-        this.currentExpression = newText;
+        this.setCurrentElement(newElement);
         
         // 清除选择
         this.clearSelection();
@@ -177,6 +197,160 @@ class LogicCore {
         return true;
     }
 
+    /**
+     * 为元素创建否定（一元运算）元素并连线，画布上已有相同的子公式时直接返回该元素
+     */
+    negateElement(element, operator = '~') {
+        const structure = { operator: operator, children: [element.id] };
+        const existing = this.findElement(structure);
+        if (existing) return existing;
+
+        const newElement = this.createElement(
+            structure, 
+            element.x + element.width + 100, 
+            element.y
+        );
+
+        // 创建连接线
+        this.createConnection(element, newElement);
+
+        return newElement;
+    }
+
+    /**
+     * 用二元运算符连接两个元素并连线，画布上已有相同的子公式时直接返回该元素
+     */
+    combineElements(operator, element1, element2) {
+        const structure = { operator: operator, children: [element1.id, element2.id] };
+        const existing = this.findElement(structure);
+        if (existing) return existing;
+
+        const newX = Math.max(element1.x + element1.width, element2.x + element2.width) + 100;
+        const newY = (element1.y + element2.y) / 2;
+        
+        const newElement = this.createElement(structure, newX, newY);
+
+        // 创建连接线
+        this.createConnection(element1, newElement);
+        this.createConnection(element2, newElement);
+
+        return newElement;
+    }
+
+    /**
+     * 根据语法树重建整个画布
+     * 每个子公式对应一个元素，相同的子公式共用同一个元素
+     */
+    buildFromAST(ast) {
+        this.clear();
+
+        let leafCount = 0;
+        const createLeaf = (structure) => {
+            return this.findElement(structure) || this.createElement(structure, 20, 50 + leafCount++ * 50);
+        };
+        this.parser.getVariables(ast).forEach(name => createLeaf({ name: name }));
+
+        const build = (node) => {
+            switch (node.type) {
+                case 'variable':
+                    return createLeaf({ name: node.name });
+                case 'constant':
+                    return createLeaf({ operator: this.parser.constantSymbol(node.value) });
+                case 'unary':
+                    return this.negateElement(build(node.operand), node.operator);
+                case 'binary':
+                    return this.combineElements(node.operator, build(node.left), build(node.right));
+                default:
+                    throw new Error(`Unknown node type: ${node.type}`);
+            }
+        };
+
+        this.setCurrentElement(build(ast));
+        return this.currentExpression;
+    }
+
+    /**
+     * 设置当前表达式对应的元素
+     */
+    setCurrentElement(element) {
+        this.currentElementId = element.id;
+        this.currentExpression = element.text;
+    }
+
+    /**
+     * 元素结构的键：运算符和运算对象都相同的元素键相同
+     */
+    structureKey(structure) {
+        if (!structure.operator) {
+            return `variable:${structure.name}`;
+        }
+        return `${structure.operator}(${(structure.children || []).join(',')})`;
+    }
+
+    /**
+     * 查找画布上结构相同的元素，用于共用相同的子公式；没有时返回 null
+     */
+    findElement(structure) {
+        const key = this.structureKey(structure);
+        return this.elements.find(element => !element.broken && this.structureKey(element) === key) || null;
+    }
+
+    /**
+     * 由元素的结构生成语法树，元素损坏（缺少运算对象）时返回 null
+     * cache 以元素 id 缓存结果，共用的子公式只生成一次
+     */
+    getElementAST(element, cache = new Map()) {
+        if (cache.has(element.id)) return cache.get(element.id);
+
+        let ast = null;
+        if (!element.operator) {
+            ast = LogicNodes.variable(element.name);
+        } else {
+            const connective = this.connectives[element.operator];
+            const operands = element.children.map(id => {
+                const child = this.elements.find(e => e.id === id);
+                return child ? this.getElementAST(child, cache) : null;
+            });
+
+            if (connective.arity === 0) {
+                ast = LogicNodes.constant(connective.value);
+            } else if (operands.every(operand => operand !== null)) {
+                ast = connective.arity === 1
+                    ? LogicNodes.unary(element.operator, operands[0])
+                    : LogicNodes.binary(element.operator, operands[0], operands[1]);
+            }
+        }
+
+        cache.set(element.id, ast);
+        return ast;
+    }
+
+    /**
+     * 按结构重新生成所有元素的文本、宽度和损坏标记，并更新当前表达式
+     * 损坏的元素保留原来的文本；当前元素损坏时清空当前表达式，不再对它做分析；返回文本改变了的元素
+     */
+    refreshElements() {
+        const cache = new Map();
+        const changed = [];
+        this.elements.forEach(element => {
+            const ast = this.getElementAST(element, cache);
+            element.broken = ast === null;
+            if (ast === null) return;
+
+            const text = this.parser.format(ast);
+            if (text !== element.text) {
+                this.setElementText(element, text);
+                changed.push(element);
+            }
+        });
+
+        const current = this.elements.find(element => element.id === this.currentElementId);
+        if (current) {
+            this.currentExpression = current.broken ? '' : current.text;
+        }
+        return changed;
+    }
+
     /**
      * 创建连接线
      */
@@ -195,6 +369,156 @@ class LogicCore {
         return connection;
     }
 
+    /**
+     * 元素的运算对象（子元素）的 id，二元运算按左、右顺序，已删除的运算对象为 null
+     */
+    getChildIds(elementId) {
+        const element = this.elements.find(e => e.id === elementId);
+        return element ? element.children.slice() : [];
+    }
+
+    /**
+     * 直接以该元素为运算对象的元素的 id
+     */
+    getParentIds(elementId) {
+        return this.elements
+            .filter(element => element.children.includes(elementId))
+            .map(element => element.id);
+    }
+
+    /**
+     * 元素作为运算对象被引用的次数，大于 1 时为多个公式共用的子公式
+     */
+    getReferenceCount(elementId) {
+        return this.elements.reduce((count, element) =>
+            count + element.children.filter(id => id === elementId).length, 0);
+    }
+
+    /**
+     * 直接或间接依赖于给定元素的所有元素的 id（不含给定元素本身）
+     */
+    getDependentIds(elementIds) {
+        const dependents = new Set();
+        const visit = (id) => {
+            this.getParentIds(id).forEach(parentId => {
+                if (!dependents.has(parentId)) {
+                    dependents.add(parentId);
+                    visit(parentId);
+                }
+            });
+        };
+        elementIds.forEach(visit);
+        elementIds.forEach(id => dependents.delete(id));
+        return Array.from(dependents);
+    }
+
+    /**
+     * 删除元素
+     * keepDependents 为 false 时依赖它们的元素一并删除；为 true 时保留这些元素并标记为损坏（broken），
+     * 损坏的元素缺少运算对象，文本不再随子公式更新
+     * 返回 { removed, broken }，均为元素 id 数组
+     */
+    deleteElements(elementIds, keepDependents = false) {
+        const dependents = this.getDependentIds(elementIds);
+        const removed = new Set(keepDependents ? elementIds : elementIds.concat(dependents));
+
+        this.elements = this.elements.filter(element => !removed.has(element.id));
+        this.elements.forEach(element => {
+            element.children = element.children.map(id => (removed.has(id) ? null : id));
+        });
+        this.connections = this.connections.filter(connection =>
+            !removed.has(connection.from) && !removed.has(connection.to));
+        this.selectedElements = this.selectedElements.filter(id => !removed.has(id));
+
+        if (removed.has(this.currentElementId)) {
+            this.currentElementId = null;
+            this.currentExpression = '';
+        }
+        this.refreshElements();
+
+        const broken = this.elements
+            .filter(element => element.broken && dependents.includes(element.id))
+            .map(element => element.id);
+        return { removed: Array.from(removed), broken: broken };
+    }
+
+    /**
+     * 把叶子元素（变元或常元）替换为另一个变元或常元，依赖它的元素的文本和宽度随之重新生成
+     * 画布上已有相同的变元或常元时两者合并为一个元素，相同的子公式仍只有一个元素
+     * text 有语法错误时抛出 LogicSyntaxError，元素不是叶子或 text 不是变元、常元时抛出 Error
+     * 返回文本改变了的元素，第一项为替换后的叶子元素；损坏的元素保持原样
+     */
+    replaceLeaf(elementId, text) {
+        const element = this.elements.find(e => e.id === elementId);
+        if (!element) {
+            throw new Error('元素不存在');
+        }
+        if (element.children.length > 0) {
+            throw new Error(`${element.text} 不是变元或常元，只能替换画布上的叶子元素`);
+        }
+
+        const ast = this.parser.parse(text);
+        if (ast.type !== 'variable' && ast.type !== 'constant') {
+            throw new Error('只能替换为一个变元或常元');
+        }
+
+        element.operator = ast.type === 'variable' ? null : this.parser.constantSymbol(ast.value);
+        element.name = ast.type === 'variable' ? ast.name : null;
+        const changed = this.refreshElements();
+        const leaf = this.mergeDuplicate(element);
+        return [leaf].concat(changed.filter(changedElement =>
+            changedElement !== leaf && this.elements.includes(changedElement)));
+    }
+
+    /**
+     * 元素与画布上另一个元素结构相同时把二者合并，保留 id 较小的元素（运算对象的 id 总小于元素自身的 id）
+     * 依赖被合并元素的元素改为引用保留的元素，连接线随之改接；合并后结构相同的上层元素继续合并
+     * 返回保留下来的元素
+     */
+    mergeDuplicate(element) {
+        if (element.broken) return element;
+
+        const key = this.structureKey(element);
+        const other = this.elements.find(e => e !== element && !e.broken && this.structureKey(e) === key);
+        if (!other) return element;
+
+        const [kept, merged] = other.id < element.id ? [other, element] : [element, other];
+        const parentIds = this.getParentIds(merged.id);
+
+        this.elements = this.elements.filter(e => e !== merged);
+        this.elements.forEach(e => {
+            e.children = e.children.map(id => (id === merged.id ? kept.id : id));
+        });
+        // 保留的元素已有来自运算对象的连接线，只需改接被合并元素通往上层元素的连接线
+        this.connections = this.connections.filter(connection => connection.to !== merged.id);
+        this.connections.forEach(connection => {
+            if (connection.from === merged.id) {
+                connection.from = kept.id;
+                connection.fromX = kept.x + kept.width;
+                connection.fromY = kept.y + kept.height / 2;
+            }
+        });
+        this.selectedElements = Array.from(new Set(
+            this.selectedElements.map(id => (id === merged.id ? kept.id : id))));
+        if (this.currentElementId === merged.id) {
+            this.currentElementId = kept.id;
+        }
+
+        parentIds.forEach(id => {
+            const parent = this.elements.find(e => e.id === id);
+            if (parent) this.mergeDuplicate(parent);
+        });
+        return kept;
+    }
+
+    /**
+     * 修改元素的文本，宽度随之改变
+     */
+    setElementText(element, text) {
+        element.text = text;
+        element.width = this.calculateTextWidth(text) + 20;
+    }
+
     /**
      * 清空所有数据
      */
@@ -203,150 +527,152 @@ class LogicCore {
         this.connections = [];
         this.selectedElements = [];
         this.currentExpression = '';
+        this.currentElementId = null;
         this.nextElementId = 1;
     }
 
+    /**
+     * 画布上所有元素中出现的变元
+     */
+    getElementVariables() {
+        const names = new Set(this.elements.filter(element => !element.operator).map(element => element.name));
+        return Array.from(names).sort((a, b) => this.parser.compareNames(a, b));
+    }
+
+    /**
+     * 在给定赋值下计算每个元素的真值，每个元素由其运算对象的真值算出，共用的子公式只算一次
+     * 返回元素 id 到真值的映射，含未赋值变元的元素和损坏的元素不在其中
+     */
+    evaluateElements(assignment) {
+        const cache = new Map();
+        const evaluate = (element) => {
+            if (cache.has(element.id)) return cache.get(element.id);
+
+            let value = null;
+            if (!element.operator) {
+                value = element.name in assignment ? assignment[element.name] : null;
+            } else {
+                const connective = this.connectives[element.operator];
+                const operands = element.children.map(id => {
+                    const child = this.elements.find(e => e.id === id);
+                    return child ? evaluate(child) : null;
+                });
+                if (connective.arity === 0) {
+                    value = connective.value;
+                } else if (operands.every(operand => operand !== null)) {
+                    value = connective.evaluate(...operands);
+                }
+            }
+
+            cache.set(element.id, value);
+            return value;
+        };
+
+        const values = new Map();
+        this.elements.forEach(element => {
+            const value = evaluate(element);
+            if (value !== null) {
+                values.set(element.id, value);
+            }
+        });
+        return values;
+    }
+
     /**
      * 获取表达式中的所有唯一变元
      */
     getVariablesFromExpression(expression) {
-        const variables = new Set();
-        for (let char of expression) {
-            if (this.isVariable(char)) {
-                variables.add(char);
-            }
-        }
-        return Array.from(variables).sort();
+        return this.parser.getVariables(this.parser.parse(expression));
     }
 }
 
 // 逻辑运算求值器
 class LogicEvaluator {
     constructor() {
-        this.operators = {
-            '~': { precedence: 4, unary: true },
-            '∧': { precedence: 3, binary: true },
-            '∨': { precedence: 2, binary: true },
-            '→': { precedence: 1, binary: true },
-            '↔': { precedence: 1, binary: true }
-        };
+        this.parser = new LogicParser();
     }
 
     /**
-     * 将中缀表达式转换为后缀表达式
+     * 将表达式解析为语法树，语法错误时抛出 LogicSyntaxError
      */
-    infixToPostfix(expression) {
-        const output = [];
-        const operatorStack = [];
-        
-        for (let i = 0; i < expression.length; i++) {
-            const char = expression[i];
-            
-            if (char === ' ') continue;
-            
-            if (this.isVariable(char)) {
-                output.push(char);
-            } else if (char === '(') {
-                operatorStack.push(char);
-            } else if (char === ')') {
-                while (operatorStack.length > 0 && operatorStack[operatorStack.length - 1] !== '(') {
-                    output.push(operatorStack.pop());
-                }
-                if (operatorStack.length > 0 && operatorStack[operatorStack.length - 1] === '(') {
-                    operatorStack.pop();
-                }
-            } else if (this.operators[char]) {
-                while (
-                    operatorStack.length > 0 &&
-                    operatorStack[operatorStack.length - 1] !== '(' &&
-                    this.operators[operatorStack[operatorStack.length - 1]] &&
-                    this.operators[operatorStack[operatorStack.length - 1]].precedence >= this.operators[char].precedence
-                ) {
-                    output.push(operatorStack.pop());
-                }
-                operatorStack.push(char);
-            }
-        }
-        
-        while (operatorStack.length > 0) {
-            output.push(operatorStack.pop());
+    parse(expression) {
+        return this.parser.parse(expression);
+    }
+
+    /**
+     * 获取表达式（或语法树）中的所有唯一变元
+     * 传入数组时返回所有表达式变元的并集
+     */
+    getVariables(expression) {
+        if (Array.isArray(expression)) {
+            const variables = new Set();
+            expression.forEach(item => {
+                this.getVariables(item).forEach(variable => variables.add(variable));
+            });
+            return Array.from(variables).sort((a, b) => this.parser.compareNames(a, b));
         }
-        
-        return output;
+
+        const ast = typeof expression === 'string' ? this.parse(expression) : expression;
+        return this.parser.getVariables(ast);
     }
 
     /**
-     * 计算后缀表达式的值
+     * 计算语法树节点的值
      */
-    evaluatePostfix(postfix, variableValues) {
-        const stack = [];
-        
-        for (const token of postfix) {
-            if (this.isVariable(token)) {
-                stack.push(variableValues[token]);
-            } else if (this.operators[token]) {
-                if (this.operators[token].unary) {
-                    const operand = stack.pop();
-                    stack.push(this.applyUnaryOperator(token, operand));
-                } else if (this.operators[token].binary) {
-                    const operand2 = stack.pop();
-                    const operand1 = stack.pop();
-                    stack.push(this.applyBinaryOperator(token, operand1, operand2));
+    evaluateNode(node, variableValues) {
+        switch (node.type) {
+            case 'variable':
+                if (!(node.name in variableValues)) {
+                    throw new Error(`变元 ${node.name} 未赋值`);
                 }
-            }
+                return variableValues[node.name];
+            case 'constant':
+                return node.value;
+            case 'unary':
+                return this.applyUnaryOperator(
+                    node.operator,
+                    this.evaluateNode(node.operand, variableValues)
+                );
+            case 'binary':
+                return this.applyBinaryOperator(
+                    node.operator,
+                    this.evaluateNode(node.left, variableValues),
+                    this.evaluateNode(node.right, variableValues)
+                );
+            default:
+                throw new Error(`Unknown node type: ${node.type}`);
         }
-        
-        return stack[0];
     }
 
     /**
      * 应用一元运算符
      */
     applyUnaryOperator(operator, operand) {
-        switch (operator) {
-            case '~':
-                return !operand;
-            default:
-                throw new Error(`Unknown unary operator: ${operator}`);
+        const connective = this.parser.operators[operator];
+        if (!connective || connective.arity !== 1) {
+            throw new Error(`Unknown unary operator: ${operator}`);
         }
+        return connective.evaluate(operand);
     }
 
     /**
      * 应用二元运算符
      */
     applyBinaryOperator(operator, operand1, operand2) {
-        switch (operator) {
-            case '∧':
-                return operand1 && operand2;
-            case '∨':
-                return operand1 || operand2;
-            case '→':
-                return !operand1 || operand2;
-            case '↔':
-                return operand1 === operand2;
-            default:
-                throw new Error(`Unknown binary operator: ${operator}`);
+        const connective = this.parser.operators[operator];
+        if (!connective || connective.arity !== 2) {
+            throw new Error(`Unknown binary operator: ${operator}`);
         }
+        return connective.evaluate(operand1, operand2);
     }
 
     /**
-     * 判断字符是否为变元
-     */
-    isVariable(char) {
-        return /^[a-zA-Z]$/.test(char);
-    }
-
-    /**
-     * 求值逻辑表达式
+     * 求值逻辑表达式（文本或语法树）
+     * 表达式有语法错误或变元未赋值时抛出异常
      */
     evaluate(expression, variableValues) {
-        try {
-            const postfix = this.infixToPostfix(expression);
-            return this.evaluatePostfix(postfix, variableValues);
-        } catch (error) {
-            console.error('Expression evaluation error:', error);
-            return false;
-        }
+        const ast = typeof expression === 'string' ? this.parse(expression) : expression;
+        return this.evaluateNode(ast, variableValues);
     }
 }
 
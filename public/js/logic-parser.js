@@ -0,0 +1,415 @@
+/**
+ * 逻辑公式解析器 - 词法分析 + 递归下降解析
+ * 将输入的公式文本解析为语法树（AST）
+ *
+ * 语法树节点:
+ *   { type: 'variable', name }
+ *   { type: 'constant', value }
+ *   { type: 'unary', operator, operand }
+ *   { type: 'binary', operator, left, right }
+ */
+
+/**
+ * 变元名：字母开头，可含字母、数字、下标数字和下划线，如 p、p1、p₁、rain
+ * 紧凑模式下每个变元只有一个字母，可带数字下标，如 "pq" 为 p、q，"p1p2" 为 p₁、p₂
+ */
+const IDENTIFIER_PATTERN = /[A-Za-z][A-Za-z0-9_₀-₉]*/y;
+const COMPACT_IDENTIFIER_PATTERN = /[A-Za-z](?:_?[0-9₀-₉]+)?/y;
+
+// LaTeX 命令，如 \land、\to
+const LATEX_COMMAND_PATTERN = /\\[A-Za-z]+/y;
+
+const SUBSCRIPT_DIGITS = '₀₁₂₃₄₅₆₇₈₉';
+
+// 构造语法树节点，解析器和各分析模块共用
+const LogicNodes = {
+    variable: name => ({ type: 'variable', name: name }),
+    constant: value => ({ type: 'constant', value: value }),
+    unary: (operator, operand) => ({ type: 'unary', operator: operator, operand: operand }),
+    negation: operand => LogicNodes.unary('~', operand),
+    binary: (operator, left, right) => ({ type: 'binary', operator: operator, left: left, right: right })
+};
+
+class LogicSyntaxError extends Error {
+    constructor(message, offset, expected, found = null) {
+        super(`第 ${offset + 1} 个字符处: ${message}`);
+        this.name = 'LogicSyntaxError';
+        this.offset = offset;
+        this.expected = expected;
+        this.found = found;
+    }
+}
+
+class LogicParser {
+    constructor(connectives = CONNECTIVES) {
+        // 联结词注册表中的常元与运算符，解析、格式化输出和画布构建共用
+        this.connectives = connectives;
+        this.operators = {};
+        this.constants = {};
+        Object.keys(connectives).forEach(symbol => {
+            if (connectives[symbol].arity === 0) {
+                this.constants[symbol] = connectives[symbol].value;
+            } else {
+                this.operators[symbol] = connectives[symbol];
+            }
+        });
+        // 联结词的输入别名（ASCII 与 LaTeX 写法），统一规范化为标准符号
+        this.aliases = {};
+        Object.keys(connectives).forEach(symbol => {
+            this.aliases[symbol] = symbol;
+            (connectives[symbol].aliases || []).forEach(alias => {
+                this.aliases[alias] = symbol;
+            });
+        });
+        // 由符号组成的别名按长度降序排列，保证最长匹配（如 "->" 优先于 "-"）
+        this.symbolAliases = Object.keys(this.aliases)
+            .filter(alias => !/^\\?[A-Za-z]+$/.test(alias))
+            .sort((a, b) => b.length - a.length);
+        this.tokens = [];
+        this.index = 0;
+    }
+
+    /**
+     * 词法分析，将公式文本切分为记号
+     * 每个记号为 { type, value, text, offset }，value 为规范化后的值，text 为原文
+     * 最后一个记号的类型为 'end'
+     * options.compact 为 true 时按紧凑模式识别变元名
+     * 字母别名（如 "p v q" 中的 v）只在非紧凑模式下、前后都是空白时识别为运算符，
+     * 因此 v 仍可作变元名；options.letterAliases 为 false 时一律识别为变元
+     */
+    tokenize(input, options = {}) {
+        const identifierPattern = options.compact ? COMPACT_IDENTIFIER_PATTERN : IDENTIFIER_PATTERN;
+        const letterAliases = !options.compact && options.letterAliases !== false;
+        const isSpace = char => char !== undefined && /\s/.test(char);
+        const tokens = [];
+        let offset = 0;
+
+        const push = (type, value, text) => {
+            tokens.push({ type: type, value: value, text: text, offset: offset });
+            offset += text.length;
+        };
+        const pushConnective = (symbol, text) => {
+            push(this.connectives[symbol].arity === 0 ? 'constant' : 'operator', symbol, text);
+        };
+
+        while (offset < input.length) {
+            const char = input[offset];
+
+            if (/\s/.test(char)) {
+                offset++;
+                continue;
+            }
+
+            // LaTeX 命令，如 \land、\to
+            LATEX_COMMAND_PATTERN.lastIndex = offset;
+            const command = LATEX_COMMAND_PATTERN.exec(input);
+            if (command) {
+                if (!(command[0] in this.aliases)) {
+                    throw new LogicSyntaxError(`无法识别的命令 "${command[0]}"`, offset, '运算符', command[0]);
+                }
+                pushConnective(this.aliases[command[0]], command[0]);
+                continue;
+            }
+
+            identifierPattern.lastIndex = offset;
+            const identifier = identifierPattern.exec(input);
+            if (identifier) {
+                const word = identifier[0];
+                const delimited = isSpace(input[offset - 1]) && isSpace(input[offset + word.length]);
+                if (word in this.aliases && letterAliases && delimited) {
+                    pushConnective(this.aliases[word], word);
+                } else {
+                    push('variable', this.normalizeName(word), word);
+                }
+                continue;
+            }
+
+            const alias = this.symbolAliases.find(candidate => input.startsWith(candidate, offset));
+            if (alias) {
+                pushConnective(this.aliases[alias], alias);
+            } else if (char === '(' || char === ')') {
+                push(char, char, char);
+            } else if (char === ',' || char === '，') {
+                push(',', ',', char);
+            } else {
+                throw new LogicSyntaxError(`无法识别的字符 "${char}"`, offset, '变元、运算符或括号', char);
+            }
+        }
+
+        tokens.push({ type: 'end', value: null, text: '', offset: input.length });
+        return tokens;
+    }
+
+    /**
+     * 规范化变元名：数字一律写成下标，如 p1、p_1 都写作 p₁
+     */
+    normalizeName(word) {
+        return word
+            .replace(/_(?=[0-9₀-₉])/g, '')
+            .replace(/[0-9]/g, digit => SUBSCRIPT_DIGITS[digit]);
+    }
+
+    /**
+     * 比较两个变元名，下标按数值大小排序（p₂ 排在 p₁₀ 之前）
+     */
+    compareNames(a, b) {
+        const plain = name => name.replace(/[₀-₉]/g, digit => SUBSCRIPT_DIGITS.indexOf(digit));
+        return plain(a).localeCompare(plain(b), 'en', { numeric: true });
+    }
+
+    /**
+     * 解析变元列表
+     * 含逗号或空格时每一段是一个变元名，否则按紧凑模式逐个字母识别
+     */
+    parseVariableList(input) {
+        const compact = !/[\s,，]/.test(input.trim());
+        const variables = [];
+
+        this.tokenize(input, { compact: compact, letterAliases: false }).forEach(token => {
+            if (token.type === 'variable') {
+                if (!variables.includes(token.value)) {
+                    variables.push(token.value);
+                }
+            } else if (token.type !== ',' && token.type !== 'end') {
+                throw this.unexpected(token, '变元');
+            }
+        });
+
+        return variables;
+    }
+
+    /**
+     * 解析公式，返回语法树
+     *
+     * 语法:
+     *   formula := unary (binary-operator unary)*
+     *   unary   := unary-operator unary | primary
+     *   primary := variable | constant | '(' formula ')'
+     * 二元运算的优先级和结合性由联结词注册表决定
+     */
+    parse(input) {
+        this.tokens = this.tokenize(input || '');
+        this.index = 0;
+
+        if (this.peek().type === 'end') {
+            throw new LogicSyntaxError('公式不能为空', 0, '公式');
+        }
+
+        const node = this.parseFormula();
+
+        const token = this.peek();
+        if (token.type !== 'end') {
+            throw this.unexpected(token, '运算符或公式结尾');
+        }
+
+        return node;
+    }
+
+    /**
+     * 按优先级爬升法解析二元运算
+     * 只消耗优先级不低于 minPrecedence 的运算符
+     */
+    parseFormula(minPrecedence = 0) {
+        let left = this.parseUnary();
+        let previous = null;
+
+        while (this.isBinaryOperator(this.peek()) &&
+               this.operators[this.peek().value].precedence >= minPrecedence) {
+            const token = this.next();
+            const info = this.operators[token.value];
+
+            if (previous && previous.precedence === info.precedence && info.associativity === 'none') {
+                throw new LogicSyntaxError(
+                    `运算符 ${token.value} 不满足结合律，连续使用时需要加括号`,
+                    token.offset,
+                    '"("',
+                    token.text
+                );
+            }
+
+            const nextMinPrecedence = info.associativity === 'right'
+                ? info.precedence
+                : info.precedence + 1;
+            const right = this.parseFormula(nextMinPrecedence);
+            left = LogicNodes.binary(token.value, left, right);
+            previous = info;
+        }
+        return left;
+    }
+
+    /**
+     * 判断记号是否为二元运算符
+     */
+    isBinaryOperator(token) {
+        return token.type === 'operator' && this.operators[token.value].arity === 2;
+    }
+
+    /**
+     * 解析一元运算（否定）
+     */
+    parseUnary() {
+        const token = this.peek();
+        if (token.type === 'operator' && this.operators[token.value].arity === 1) {
+            this.next();
+            return LogicNodes.unary(token.value, this.parseUnary());
+        }
+        return this.parsePrimary();
+    }
+
+    /**
+     * 解析变元、常元或括号中的子公式
+     */
+    parsePrimary() {
+        const token = this.next();
+
+        switch (token.type) {
+            case 'variable':
+                return LogicNodes.variable(token.value);
+            case 'constant':
+                return LogicNodes.constant(this.constants[token.value]);
+            case '(': {
+                const node = this.parseFormula();
+                const closing = this.peek();
+                if (closing.type !== ')') {
+                    throw new LogicSyntaxError(
+                        `缺少与第 ${token.offset + 1} 个字符匹配的右括号`,
+                        closing.offset,
+                        '")"',
+                        closing.text
+                    );
+                }
+                this.next();
+                return node;
+            }
+            default:
+                throw this.unexpected(token, '变元、常元或 "("');
+        }
+    }
+
+    /**
+     * 构造"遇到意外记号"的语法错误
+     */
+    unexpected(token, expected) {
+        const found = token.type === 'end' ? '公式结尾' : `"${token.text}"`;
+        return new LogicSyntaxError(`此处应为${expected}，却遇到${found}`, token.offset, expected, token.text);
+    }
+
+    /**
+     * 查看当前记号（不消耗）
+     */
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    /**
+     * 消耗并返回当前记号
+     */
+    next() {
+        const token = this.tokens[this.index];
+        if (token.type !== 'end') {
+            this.index++;
+        }
+        return token;
+    }
+
+    /**
+     * 获取语法树中的所有唯一变元
+     */
+    getVariables(ast) {
+        const variables = new Set();
+        const visit = (node) => {
+            switch (node.type) {
+                case 'variable':
+                    variables.add(node.name);
+                    break;
+                case 'unary':
+                    visit(node.operand);
+                    break;
+                case 'binary':
+                    visit(node.left);
+                    visit(node.right);
+                    break;
+            }
+        };
+        visit(ast);
+        return Array.from(variables).sort((a, b) => this.compareNames(a, b));
+    }
+
+    /**
+     * 获取语法树中的所有复合子公式（不含变元和常元），按后序排列并去重
+     * 每项为 { text, node }，最后一项为整个公式
+     */
+    getSubformulas(ast) {
+        const subformulas = [];
+        const seen = new Set();
+        const visit = (node) => {
+            if (node.type === 'unary') {
+                visit(node.operand);
+            } else if (node.type === 'binary') {
+                visit(node.left);
+                visit(node.right);
+            } else {
+                return;
+            }
+
+            const text = this.format(node);
+            if (!seen.has(text)) {
+                seen.add(text);
+                subformulas.push({ text: text, node: node });
+            }
+        };
+        visit(ast);
+        return subformulas;
+    }
+
+    /**
+     * 将语法树格式化为文本，只在优先级或结合性需要时添加括号
+     */
+    format(node) {
+        switch (node.type) {
+            case 'variable':
+                return node.name;
+            case 'constant':
+                return this.constantSymbol(node.value);
+            case 'unary':
+                return node.operator + this.formatOperand(node.operand, node.operator, null);
+            case 'binary':
+                return this.formatOperand(node.left, node.operator, 'left') +
+                    node.operator +
+                    this.formatOperand(node.right, node.operator, 'right');
+            default:
+                throw new Error(`Unknown node type: ${node.type}`);
+        }
+    }
+
+    /**
+     * 格式化运算对象，必要时加括号
+     * side 为运算对象在二元运算中的位置，一元运算时为 null
+     */
+    formatOperand(child, parentOperator, side) {
+        const text = this.format(child);
+        if (child.type !== 'binary') {
+            return text;
+        }
+
+        const parent = this.operators[parentOperator];
+        const own = this.operators[child.operator];
+        const needsParentheses = side === null ||
+            own.precedence < parent.precedence ||
+            (own.precedence === parent.precedence && parent.associativity !== side);
+
+        return needsParentheses ? `(${text})` : text;
+    }
+
+    /**
+     * 获取常元对应的符号
+     */
+    constantSymbol(value) {
+        return Object.keys(this.constants).find(symbol => this.constants[symbol] === value);
+    }
+}
+
+// 导出到全局作用域
+window.LogicNodes = LogicNodes;
+window.LogicParser = LogicParser;
+window.LogicSyntaxError = LogicSyntaxError;
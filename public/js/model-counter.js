@@ -0,0 +1,286 @@
+/**
+ * 模型计数与成真赋值浏览
+ * 直接在语法树上计数：左右子公式没有公共变元时由两边的计数相乘得出，
+ * 否则对公共变元分别代入真、假并化简后递归，相同子公式的结果会缓存，不需要生成完整的真值表
+ */
+
+// 列表中最多列出的成真赋值个数
+const MAX_LISTED_MODELS = 64;
+
+class ModelCounter {
+    constructor(parser) {
+        this.parser = parser;
+    }
+
+    /**
+     * 代入变元的值并化简，常元参与的运算直接求值或约去
+     */
+    restrict(node, name, value) {
+        switch (node.type) {
+            case 'variable':
+                return node.name === name ? LogicNodes.constant(value) : node;
+            case 'constant':
+                return node;
+            case 'unary':
+                return this.simplify(node, [this.restrict(node.operand, name, value)]);
+            case 'binary':
+                return this.simplify(node, [this.restrict(node.left, name, value), this.restrict(node.right, name, value)]);
+            default:
+                throw new Error(`Unknown node type: ${node.type}`);
+        }
+    }
+
+    /**
+     * 用化简后的运算对象重建节点
+     * 运算对象全是常元时求值；二元运算有一边是常元时，结果为常元、另一边或另一边的否定
+     */
+    simplify(node, operands) {
+        const evaluate = this.parser.operators[node.operator].evaluate;
+        const isConstant = operand => operand.type === 'constant';
+
+        if (operands.every(isConstant)) {
+            return LogicNodes.constant(evaluate(...operands.map(operand => operand.value)));
+        }
+        if (node.type === 'unary') {
+            return operands[0] === node.operand ? node : LogicNodes.unary(node.operator, operands[0]);
+        }
+
+        const [left, right] = operands;
+        if (isConstant(left) || isConstant(right)) {
+            const other = isConstant(left) ? right : left;
+            const apply = value => isConstant(left) ? evaluate(left.value, value) : evaluate(value, right.value);
+            if (apply(true) === apply(false)) return LogicNodes.constant(apply(true));
+            return apply(true) ? other : LogicNodes.negation(other);
+        }
+        if (left === node.left && right === node.right) return node;
+        return LogicNodes.binary(node.operator, left, right);
+    }
+
+    /**
+     * 计算节点在其自身变元上的成真赋值个数（BigInt），cache 以公式文本缓存结果
+     */
+    count(node, cache) {
+        if (node.type === 'constant') return node.value ? 1n : 0n;
+        if (node.type === 'variable') return 1n;
+
+        const key = this.parser.format(node);
+        if (cache.has(key)) return cache.get(key);
+
+        const evaluate = this.parser.operators[node.operator].evaluate;
+        let result = 0n;
+
+        if (node.type === 'unary') {
+            const size = 1n << BigInt(this.parser.getVariables(node).length);
+            const truthy = this.count(node.operand, cache);
+            if (evaluate(true)) result += truthy;
+            if (evaluate(false)) result += size - truthy;
+        } else {
+            const leftVariables = this.parser.getVariables(node.left);
+            const rightVariables = this.parser.getVariables(node.right);
+            const shared = leftVariables.filter(name => rightVariables.includes(name));
+
+            if (shared.length === 0) {
+                // 两边相互独立：按两边各自的真、假赋值个数组合
+                const counts = [[node.left, leftVariables], [node.right, rightVariables]].map(([child, variables]) => {
+                    const truthy = this.count(child, cache);
+                    return { true: truthy, false: (1n << BigInt(variables.length)) - truthy };
+                });
+                [true, false].forEach(a => [true, false].forEach(b => {
+                    if (evaluate(a, b)) result += counts[0][a] * counts[1][b];
+                }));
+            } else {
+                // 对第一个公共变元分情况
+                const variableCount = this.parser.getVariables(node).length - 1;
+                [true, false].forEach(value => {
+                    result += this.countOver(this.restrict(node, shared[0], value), variableCount, cache);
+                });
+            }
+        }
+
+        cache.set(key, result);
+        return result;
+    }
+
+    /**
+     * 计算节点在 variableCount 个变元上的成真赋值个数，节点中没有出现的变元可任意取值
+     */
+    countOver(node, variableCount, cache) {
+        const missing = variableCount - this.parser.getVariables(node).length;
+        return this.count(node, cache) << BigInt(missing);
+    }
+
+    /**
+     * 按变元顺序列出满足 filter 的成真赋值，最多 limit 个
+     * 每个变元先取假后取真，与真值表的行序一致；计数为 0 的分支直接跳过
+     */
+    listModels(ast, variables, filter, limit, cache) {
+        const models = [];
+        const values = {};
+
+        const visit = (node, index) => {
+            if (models.length >= limit || this.count(node, cache) === 0n) return;
+            if (index === variables.length) {
+                models.push(Object.assign({}, values));
+                return;
+            }
+
+            const name = variables[index];
+            const choices = name in filter ? [filter[name]] : [false, true];
+            choices.forEach(value => {
+                values[name] = value;
+                visit(this.restrict(node, name, value), index + 1);
+            });
+        };
+
+        visit(ast, 0);
+        return models;
+    }
+
+    /**
+     * 对表达式计数并列出成真赋值
+     * filter 为变元名到真值的映射，只保留该变元取此值的赋值，不在公式中的变元被忽略
+     * 返回 { expression, variables, filter, total, count, models, truncated }：
+     *   total 为全部成真赋值个数，count 为符合 filter 的个数（均为 BigInt），
+     *   models 为符合 filter 的前 MAX_LISTED_MODELS 个成真赋值，truncated 为是否还有未列出的
+     */
+    analyze(expression, filter = {}) {
+        const ast = this.parser.parse(expression);
+        const variables = this.parser.getVariables(ast);
+        const cache = new Map();
+
+        const activeFilter = {};
+        variables.filter(name => name in filter).forEach(name => {
+            activeFilter[name] = filter[name];
+        });
+
+        let restricted = ast;
+        Object.keys(activeFilter).forEach(name => {
+            restricted = this.restrict(restricted, name, activeFilter[name]);
+        });
+        const freeCount = variables.length - Object.keys(activeFilter).length;
+        const count = this.countOver(restricted, freeCount, cache);
+        const models = this.listModels(ast, variables, activeFilter, MAX_LISTED_MODELS, cache);
+
+        return {
+            expression: this.parser.format(ast),
+            variables: variables,
+            filter: activeFilter,
+            total: this.countOver(ast, variables.length, cache),
+            count: count,
+            models: models,
+            truncated: count > BigInt(models.length)
+        };
+    }
+
+    /**
+     * 格式化赋值，如 "p=T, q=F"
+     */
+    formatModel(model) {
+        return Object.keys(model)
+            .sort((a, b) => this.parser.compareNames(a, b))
+            .map(name => `${name}=${model[name] ? 'T' : 'F'}`)
+            .join(', ');
+    }
+
+    /**
+     * 渲染计数结果和成真赋值列表
+     * 修改筛选条件时以新的 filter 调用 onFilter，点击某个赋值时以该赋值调用 onSelect
+     */
+    render(containerId, result, onFilter, onSelect) {
+        const container = document.getElementById(containerId);
+        if (!container || !result) return;
+
+        container.innerHTML = '';
+
+        const size = 1n << BigInt(result.variables.length);
+        const summaryDiv = document.createElement('div');
+        summaryDiv.className = 'analysis-summary';
+
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'analysis-label';
+        labelSpan.textContent = result.expression;
+
+        const detailSpan = document.createElement('span');
+        detailSpan.textContent = `共 ${size} 个赋值，其中 ${result.total} 个成真`;
+
+        summaryDiv.appendChild(labelSpan);
+        summaryDiv.appendChild(detailSpan);
+        container.appendChild(summaryDiv);
+
+        // 筛选条件：每个变元可选任意、T 或 F
+        const filterDiv = document.createElement('div');
+        filterDiv.className = 'model-filter';
+        result.variables.forEach(name => {
+            const label = document.createElement('label');
+            label.textContent = name;
+
+            const select = document.createElement('select');
+            [['', '任意'], ['T', 'T'], ['F', 'F']].forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            if (name in result.filter) {
+                select.value = result.filter[name] ? 'T' : 'F';
+            }
+            select.addEventListener('change', () => {
+                const filter = Object.assign({}, result.filter);
+                delete filter[name];
+                if (select.value) {
+                    filter[name] = select.value === 'T';
+                }
+                onFilter(filter);
+            });
+
+            label.appendChild(select);
+            filterDiv.appendChild(label);
+        });
+        container.appendChild(filterDiv);
+
+        const countDiv = document.createElement('div');
+        countDiv.className = 'practice-feedback';
+        countDiv.textContent = Object.keys(result.filter).length > 0
+            ? `符合筛选条件的成真赋值 ${result.count} 个`
+            : `成真赋值 ${result.count} 个`;
+        if (result.truncated) {
+            countDiv.textContent += `，仅列出前 ${result.models.length} 个`;
+        }
+        if (result.models.length > 0) {
+            countDiv.textContent += '；点击一行可在画布上标出各子公式的真值';
+        }
+        container.appendChild(countDiv);
+
+        if (result.models.length === 0) return;
+
+        const table = document.createElement('table');
+        table.className = 'truth-table model-table';
+
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        result.variables.forEach(name => {
+            const th = document.createElement('th');
+            th.textContent = name;
+            headerRow.appendChild(th);
+        });
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        result.models.forEach(model => {
+            const tr = document.createElement('tr');
+            result.variables.forEach(name => {
+                const td = document.createElement('td');
+                td.textContent = model[name] ? 'T' : 'F';
+                tr.appendChild(td);
+            });
+            tr.addEventListener('click', () => onSelect(model));
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        container.appendChild(table);
+    }
+}
+
+// 导出到全局作用域
+window.ModelCounter = ModelCounter;
@@ -0,0 +1,557 @@
+/**
+ * 自然演绎证明检查器（Fitch 风格）
+ * 每一行为一个公式和它的依据（推理规则及引用的行），假设开始一个缩进一层的子证明
+ */
+
+/**
+ * 推理规则
+ * lines 与 subproofs 为规则需要引用的行数和子证明数，引用写作 "1, 3" 或 "2-4"（子证明的首行与末行）
+ * check(formula, lines, subproofs, h) 检查一次规则应用，正确时返回 null，否则返回错误说明：
+ *   lines     被引用行的语法树
+ *   subproofs 被引用的子证明，每项为 { assumption, conclusion }
+ *   h         辅助函数 { same(a, b), format(node), is(node, operator, value) }，
+ *             is 判断节点的运算符，operator 为 null 时判断节点是否为值为 value 的常元
+ */
+const DEDUCTION_RULES = {
+    'premise': {
+        label: '前提',
+        lines: 0,
+        subproofs: 0,
+        check: () => null
+    },
+    'assumption': {
+        label: '假设',
+        lines: 0,
+        subproofs: 0,
+        check: () => null
+    },
+    'R': {
+        label: 'R 重复',
+        lines: 1,
+        subproofs: 0,
+        check: (formula, [a], subproofs, h) => (h.same(formula, a) ? null : `应与被引用的行相同，即 ${h.format(a)}`)
+    },
+    '∧I': {
+        label: '∧I 合取引入',
+        lines: 2,
+        subproofs: 0,
+        check: (formula, [a, b], subproofs, h) => {
+            if (h.is(formula, '∧') &&
+                ((h.same(formula.left, a) && h.same(formula.right, b)) ||
+                 (h.same(formula.left, b) && h.same(formula.right, a)))) {
+                return null;
+            }
+            return `结论应为 ${h.format(LogicNodes.binary('∧', a, b))}`;
+        }
+    },
+    '∧E': {
+        label: '∧E 合取消去',
+        lines: 1,
+        subproofs: 0,
+        check: (formula, [a], subproofs, h) => {
+            if (!h.is(a, '∧')) return `被引用的行 ${h.format(a)} 不是合取式`;
+            if (h.same(formula, a.left) || h.same(formula, a.right)) return null;
+            return `结论应为 ${h.format(a.left)} 或 ${h.format(a.right)}`;
+        }
+    },
+    '∨I': {
+        label: '∨I 析取引入',
+        lines: 1,
+        subproofs: 0,
+        check: (formula, [a], subproofs, h) => {
+            if (h.is(formula, '∨') && (h.same(formula.left, a) || h.same(formula.right, a))) return null;
+            return `结论应为以 ${h.format(a)} 为一个析取项的析取式`;
+        }
+    },
+    '∨E': {
+        label: '∨E 析取消去',
+        lines: 1,
+        subproofs: 2,
+        check: (formula, [a], [s, t], h) => {
+            if (!h.is(a, '∨')) return `被引用的行 ${h.format(a)} 不是析取式`;
+            const matches = (first, second) => h.same(first.assumption, a.left) && h.same(second.assumption, a.right);
+            if (!matches(s, t) && !matches(t, s)) {
+                return `两个子证明应分别假设 ${h.format(a.left)} 和 ${h.format(a.right)}`;
+            }
+            if (!h.same(s.conclusion, formula) || !h.same(t.conclusion, formula)) {
+                return `两个子证明的最后一行都应为 ${h.format(formula)}`;
+            }
+            return null;
+        }
+    },
+    '→I': {
+        label: '→I 蕴含引入',
+        lines: 0,
+        subproofs: 1,
+        check: (formula, lines, [s], h) => {
+            const expected = LogicNodes.binary('→', s.assumption, s.conclusion);
+            return h.same(formula, expected) ? null : `结论应为 ${h.format(expected)}`;
+        }
+    },
+    '→E': {
+        label: '→E 蕴含消去',
+        lines: 2,
+        subproofs: 0,
+        check: (formula, [a, b], subproofs, h) => {
+            const applies = (implication, antecedent) => h.is(implication, '→') && h.same(implication.left, antecedent);
+            const implication = applies(a, b) ? a : (applies(b, a) ? b : null);
+            if (!implication) return '应引用一个蕴含式 A→B 和它的前件 A';
+            return h.same(formula, implication.right) ? null : `结论应为 ${h.format(implication.right)}`;
+        }
+    },
+    '↔I': {
+        label: '↔I 双条件引入',
+        lines: 0,
+        subproofs: 2,
+        check: (formula, lines, [s, t], h) => {
+            if (!h.is(formula, '↔')) return '结论应为双条件式';
+            const proves = (subproof, from, to) => h.same(subproof.assumption, from) && h.same(subproof.conclusion, to);
+            const [left, right] = [formula.left, formula.right];
+            if ((proves(s, left, right) && proves(t, right, left)) || (proves(t, left, right) && proves(s, right, left))) {
+                return null;
+            }
+            return `两个子证明应分别由 ${h.format(left)} 推出 ${h.format(right)}，由 ${h.format(right)} 推出 ${h.format(left)}`;
+        }
+    },
+    '↔E': {
+        label: '↔E 双条件消去',
+        lines: 2,
+        subproofs: 0,
+        check: (formula, [a, b], subproofs, h) => {
+            const other = (biconditional, side) => {
+                if (!h.is(biconditional, '↔')) return null;
+                if (h.same(biconditional.left, side)) return biconditional.right;
+                if (h.same(biconditional.right, side)) return biconditional.left;
+                return null;
+            };
+            const expected = other(a, b) || other(b, a);
+            if (!expected) return '应引用一个双条件式 A↔B 和它的一边';
+            return h.same(formula, expected) ? null : `结论应为 ${h.format(expected)}`;
+        }
+    },
+    '~I': {
+        label: '~I 否定引入',
+        lines: 0,
+        subproofs: 1,
+        check: (formula, lines, [s], h) => {
+            if (!h.is(s.conclusion, null, false)) return '子证明的最后一行应为 ⊥';
+            const expected = LogicNodes.negation(s.assumption);
+            return h.same(formula, expected) ? null : `结论应为 ${h.format(expected)}`;
+        }
+    },
+    '~E': {
+        label: '~E 否定消去',
+        lines: 2,
+        subproofs: 0,
+        check: (formula, [a, b], subproofs, h) => {
+            const contradicts = (negation, other) => h.is(negation, '~') && h.same(negation.operand, other);
+            if (!contradicts(a, b) && !contradicts(b, a)) return '应引用一个公式 A 和它的否定 ~A';
+            return h.is(formula, null, false) ? null : '结论应为 ⊥';
+        }
+    },
+    '⊥E': {
+        label: '⊥E 矛盾消去',
+        lines: 1,
+        subproofs: 0,
+        check: (formula, [a], subproofs, h) => (h.is(a, null, false) ? null : `被引用的行 ${h.format(a)} 不是 ⊥`)
+    },
+    '~~E': {
+        label: '~~E 双重否定消去',
+        lines: 1,
+        subproofs: 0,
+        check: (formula, [a], subproofs, h) => {
+            if (!h.is(a, '~') || !h.is(a.operand, '~')) return `被引用的行 ${h.format(a)} 不是双重否定式`;
+            return h.same(formula, a.operand.operand) ? null : `结论应为 ${h.format(a.operand.operand)}`;
+        }
+    },
+    'RAA': {
+        label: 'RAA 反证法',
+        lines: 0,
+        subproofs: 1,
+        check: (formula, lines, [s], h) => {
+            if (!h.is(s.conclusion, null, false)) return '子证明的最后一行应为 ⊥';
+            if (!h.is(s.assumption, '~')) return '子证明应假设一个否定式 ~A';
+            return h.same(formula, s.assumption.operand) ? null : `结论应为 ${h.format(s.assumption.operand)}`;
+        }
+    }
+};
+
+class ProofChecker {
+    constructor(parser, rules = DEDUCTION_RULES) {
+        this.parser = parser;
+        this.rules = rules;
+        // 每行为 { depth, formula, rule, references }，depth 为子证明的嵌套层数，主证明为 0
+        this.lines = [];
+        this.goal = '';
+    }
+
+    /**
+     * 添加一行，返回新行
+     */
+    addLine(line = {}) {
+        const previous = this.lines[this.lines.length - 1];
+        const newLine = Object.assign({
+            depth: previous ? previous.depth : 0,
+            formula: '',
+            rule: previous ? 'R' : 'premise',
+            references: ''
+        }, line);
+        this.lines.push(newLine);
+        return newLine;
+    }
+
+    /**
+     * 解析引用文本，如 "1, 3-5"
+     * 返回 { lines, subproofs }，行号为从 1 开始的编号，子证明为 { start, end }
+     */
+    parseReferences(text) {
+        const references = { lines: [], subproofs: [] };
+        text.replace(/\s*[-–]\s*/g, '-').split(/[,，\s]+/).filter(part => part !== '').forEach(part => {
+            const range = /^(\d+)-(\d+)$/.exec(part);
+            if (range) {
+                references.subproofs.push({ start: parseInt(range[1]), end: parseInt(range[2]) });
+            } else if (/^\d+$/.test(part)) {
+                references.lines.push(parseInt(part));
+            } else {
+                throw new Error(`无法识别的引用 "${part}"`);
+            }
+        });
+        return references;
+    }
+
+    /**
+     * 检查整个证明
+     * 返回 { valid, complete, results, goalError }，results[i] 为第 i 行的错误说明（正确时为 null），
+     * complete 表示证明正确且主证明的最后一行为目标结论（未设目标时不要求），goalError 为目标结论的语法错误
+     */
+    check(lines = this.lines, goal = this.goal) {
+        const results = lines.map(() => null);
+        const formulas = lines.map((line, i) => {
+            try {
+                return this.parser.parse(line.formula);
+            } catch (error) {
+                results[i] = `公式有误: ${error.message}`;
+                return null;
+            }
+        });
+
+        // 划分子证明：scopes[i] 为第 i 行所在的最内层子证明（主证明中为 null），
+        // 子证明为 { start, end, parent }，start、end 为首末行的下标
+        const scopes = [];
+        const subproofs = [];
+        const stack = [];
+        const close = (depth, end) => {
+            while (stack.length > depth) {
+                stack.pop().end = end;
+            }
+        };
+
+        lines.forEach((line, i) => {
+            if (line.rule === 'assumption') {
+                if (line.depth < 1 || line.depth > stack.length + 1) {
+                    results[i] = results[i] || '假设应开始一个新的子证明，缩进比上一层多一级';
+                }
+                const depth = Math.min(Math.max(line.depth, 1), stack.length + 1);
+                close(depth - 1, i - 1);
+                const subproof = { start: i, end: null, parent: stack[stack.length - 1] || null };
+                subproofs.push(subproof);
+                stack.push(subproof);
+            } else {
+                if (line.depth > stack.length) {
+                    results[i] = results[i] || '缩进层次有误，只有假设才能开始新的子证明';
+                }
+                close(Math.min(line.depth, stack.length), i - 1);
+            }
+            scopes.push(stack[stack.length - 1] || null);
+        });
+        close(0, lines.length - 1);
+
+        // 第 i 行处仍然打开的子证明（由内到外）
+        const openAt = (i) => {
+            const chain = [];
+            for (let scope = scopes[i]; scope; scope = scope.parent) {
+                chain.push(scope);
+            }
+            return chain;
+        };
+
+        const h = {
+            same: (a, b) => this.parser.format(a) === this.parser.format(b),
+            format: node => this.parser.format(node),
+            is: (node, operator, value) => (operator === null
+                ? node.type === 'constant' && node.value === value
+                : node.type !== 'constant' && node.type !== 'variable' && node.operator === operator)
+        };
+
+        lines.forEach((line, i) => {
+            if (results[i]) return;
+
+            const rule = this.rules[line.rule];
+            if (!rule) {
+                results[i] = `未知的规则 "${line.rule}"`;
+                return;
+            }
+
+            if (line.rule === 'premise' && (line.depth !== 0 || lines.slice(0, i).some(other => other.rule !== 'premise'))) {
+                results[i] = '前提只能写在证明开头，且不能缩进';
+                return;
+            }
+
+            let references;
+            try {
+                references = this.parseReferences(line.references || '');
+            } catch (error) {
+                results[i] = error.message;
+                return;
+            }
+
+            if (references.lines.length !== rule.lines || references.subproofs.length !== rule.subproofs) {
+                const parts = [];
+                if (rule.lines > 0) parts.push(`${rule.lines} 行`);
+                if (rule.subproofs > 0) parts.push(`${rule.subproofs} 个子证明`);
+                results[i] = parts.length > 0
+                    ? `${line.rule} 需要引用 ${parts.join('和')}`
+                    : `${rule.label} 不需要引用其他行`;
+                return;
+            }
+
+            const open = openAt(i);
+            const referencedLines = [];
+            for (const number of references.lines) {
+                const j = number - 1;
+                if (j < 0 || j >= i) {
+                    results[i] = `只能引用此前的行，第 ${number} 行不在此前`;
+                    return;
+                }
+                if (scopes[j] && !open.includes(scopes[j])) {
+                    results[i] = `第 ${number} 行所在的子证明已经结束，不能再引用`;
+                    return;
+                }
+                if (!formulas[j]) {
+                    results[i] = `第 ${number} 行的公式有误`;
+                    return;
+                }
+                referencedLines.push(formulas[j]);
+            }
+
+            const referencedSubproofs = [];
+            for (const { start, end } of references.subproofs) {
+                const subproof = subproofs.find(candidate => candidate.start === start - 1);
+                if (!subproof || subproof.end !== end - 1) {
+                    results[i] = `${start}-${end} 不是一个完整的子证明`;
+                    return;
+                }
+                if (subproof.end >= i || (subproof.parent && !open.includes(subproof.parent))) {
+                    results[i] = `子证明 ${start}-${end} 在此处不可引用`;
+                    return;
+                }
+                if (!formulas[subproof.start] || !formulas[subproof.end]) {
+                    results[i] = `子证明 ${start}-${end} 中的公式有误`;
+                    return;
+                }
+                referencedSubproofs.push({ assumption: formulas[subproof.start], conclusion: formulas[subproof.end] });
+            }
+
+            const error = rule.check(formulas[i], referencedLines, referencedSubproofs, h);
+            if (error) {
+                results[i] = `${line.rule} 使用有误: ${error}`;
+            }
+        });
+
+        const valid = lines.length > 0 && results.every(result => result === null);
+        let complete = valid && lines[lines.length - 1].depth === 0;
+        let goalError = null;
+        if (goal) {
+            try {
+                const target = this.parser.format(this.parser.parse(goal));
+                complete = complete && target === this.parser.format(formulas[formulas.length - 1]);
+            } catch (error) {
+                goalError = `结论有误: ${error.message}`;
+                complete = false;
+            }
+        }
+
+        return { valid: valid, complete: complete, results: results, goalError: goalError };
+    }
+
+    /**
+     * 渲染证明编辑器
+     * onCheck 在点击"检查证明"时以检查结果调用
+     */
+    render(containerId, onCheck) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const goalInput = document.createElement('input');
+        goalInput.type = 'text';
+        goalInput.className = 'formula-field';
+        goalInput.placeholder = '要证明的结论（可选），如: q';
+        goalInput.value = this.goal;
+        goalInput.addEventListener('input', () => {
+            this.goal = goalInput.value.trim();
+        });
+        container.appendChild(goalInput);
+
+        const list = document.createElement('div');
+        list.className = 'proof-lines';
+        this.lines.forEach((line, i) => list.appendChild(this.createLineRow(line, i, containerId, onCheck)));
+        container.appendChild(list);
+
+        const actions = document.createElement('div');
+        actions.className = 'proof-actions';
+        [
+            ['添加一行', 'btn-secondary', () => this.addLine()],
+            ['添加假设', 'btn-secondary', () => {
+                const previous = this.lines[this.lines.length - 1];
+                this.addLine({ depth: previous ? previous.depth + 1 : 1, rule: 'assumption' });
+            }],
+            ['检查证明', 'btn-primary', null]
+        ].forEach(([text, style, handler]) => {
+            const btn = document.createElement('button');
+            btn.className = `btn ${style} btn-inline`;
+            btn.textContent = text;
+            btn.addEventListener('click', () => {
+                if (handler) {
+                    handler();
+                    this.render(containerId, onCheck);
+                } else {
+                    this.showResult(container, this.check(), onCheck);
+                }
+            });
+            actions.appendChild(btn);
+        });
+        container.appendChild(actions);
+
+        const resultDiv = document.createElement('div');
+        resultDiv.className = 'proof-result';
+        container.appendChild(resultDiv);
+    }
+
+    /**
+     * 创建一行的编辑控件：行号、缩进、公式、规则、引用以及调整缩进和删除按钮
+     */
+    createLineRow(line, i, containerId, onCheck) {
+        const row = document.createElement('div');
+        row.className = 'proof-line';
+
+        const number = document.createElement('span');
+        number.className = 'proof-number';
+        number.textContent = i + 1;
+        row.appendChild(number);
+
+        // 每层子证明画一条竖线
+        const indent = document.createElement('span');
+        indent.className = 'proof-indent';
+        indent.style.width = `${line.depth * 16}px`;
+        row.appendChild(indent);
+
+        const formulaInput = document.createElement('input');
+        formulaInput.type = 'text';
+        formulaInput.className = 'proof-formula';
+        formulaInput.placeholder = '公式';
+        formulaInput.value = line.formula;
+        formulaInput.addEventListener('input', () => {
+            line.formula = formulaInput.value;
+        });
+        row.appendChild(formulaInput);
+
+        const ruleSelect = document.createElement('select');
+        ruleSelect.className = 'proof-rule';
+        Object.keys(this.rules).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = this.rules[key].label;
+            ruleSelect.appendChild(option);
+        });
+        ruleSelect.value = line.rule;
+        ruleSelect.addEventListener('change', () => {
+            line.rule = ruleSelect.value;
+        });
+        row.appendChild(ruleSelect);
+
+        const referencesInput = document.createElement('input');
+        referencesInput.type = 'text';
+        referencesInput.className = 'proof-references';
+        referencesInput.placeholder = '引用，如 1, 2-4';
+        referencesInput.value = line.references;
+        referencesInput.addEventListener('input', () => {
+            line.references = referencesInput.value;
+        });
+        row.appendChild(referencesInput);
+
+        [
+            ['⇤', '减少缩进', () => { line.depth = Math.max(0, line.depth - 1); }],
+            ['⇥', '增加缩进', () => { line.depth++; }],
+            ['×', '删除此行', () => { this.lines.splice(i, 1); }]
+        ].forEach(([text, title, handler]) => {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-secondary btn-inline proof-line-btn';
+            btn.textContent = text;
+            btn.title = title;
+            btn.addEventListener('click', () => {
+                handler();
+                this.render(containerId, onCheck);
+            });
+            row.appendChild(btn);
+        });
+
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'proof-error';
+        row.appendChild(errorDiv);
+
+        return row;
+    }
+
+    /**
+     * 在每一行下方显示检查结果，并列出所有错误
+     */
+    showResult(container, result, onCheck) {
+        container.querySelectorAll('.proof-line').forEach((row, i) => {
+            row.classList.toggle('invalid', result.results[i] !== null);
+            row.classList.toggle('valid', result.results[i] === null);
+            row.querySelector('.proof-error').textContent = result.results[i] || '';
+        });
+
+        const resultDiv = container.querySelector('.proof-result');
+        resultDiv.innerHTML = '';
+
+        const summaryDiv = document.createElement('div');
+        summaryDiv.className = 'analysis-summary';
+
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'analysis-label';
+
+        const detailSpan = document.createElement('span');
+        const errors = result.results.filter(message => message !== null).length;
+        if (result.goalError) {
+            labelSpan.textContent = '无法检查';
+            detailSpan.textContent = result.goalError;
+        } else if (this.lines.length === 0) {
+            labelSpan.textContent = '证明为空';
+            detailSpan.textContent = '请先添加证明的各行';
+        } else if (errors > 0) {
+            labelSpan.textContent = '证明有误';
+            detailSpan.textContent = `共 ${errors} 行有误`;
+        } else if (result.complete) {
+            labelSpan.textContent = '证明正确';
+            detailSpan.textContent = `由前提推出了 ${this.parser.format(this.parser.parse(this.lines[this.lines.length - 1].formula))}`;
+        } else {
+            labelSpan.textContent = '各步正确，但证明尚未完成';
+            detailSpan.textContent = this.goal
+                ? `主证明的最后一行应为 ${this.goal}`
+                : '主证明的最后一行不能在子证明中';
+        }
+
+        summaryDiv.appendChild(labelSpan);
+        summaryDiv.appendChild(detailSpan);
+        resultDiv.appendChild(summaryDiv);
+
+        if (onCheck) onCheck(result);
+    }
+}
+
+// 导出到全局作用域
+window.DEDUCTION_RULES = DEDUCTION_RULES;
+window.ProofChecker = ProofChecker;
@@ -0,0 +1,369 @@
+/**
+ * 范式转换器
+ * 根据真值表求出极小项与极大项，得到主析取范式、主合取范式及化简后的析取/合取范式
+ */
+
+// 最小覆盖精确搜索的候选质蕴含项上限，超过时改用贪心选择
+const MAX_EXACT_COVER_PRIMES = 32;
+// Quine–McCluskey 化简的变元个数上限，超过时不化简（11 个变元时已需要数秒）
+const MAX_MINIMIZE_VARIABLES = 10;
+
+class NormalFormConverter {
+    constructor(truthTableGenerator) {
+        this.truthTableGenerator = truthTableGenerator;
+        this.parser = truthTableGenerator.evaluator.parser;
+    }
+
+    /**
+     * 转换表达式
+     * 极小项与极大项的编号为该行赋值的二进制值（变元按排列顺序，T 记为 1）
+     * 变元超过 MAX_MINIMIZE_VARIABLES 个时不化简，两种化简形式都为 null
+     */
+    convert(expression) {
+        const table = this.truthTableGenerator.computeTable(expression);
+        const variables = table.variables;
+
+        // 真值表第 i 行的赋值恰好是 i 的二进制表示
+        const minterms = table.rows.filter(row => row.result).map(row => row.index);
+        const maxterms = table.rows.filter(row => !row.result).map(row => row.index);
+
+        const dnfTerms = minterms.map(index => this.toImplicant(index, variables.length));
+        const cnfTerms = maxterms.map(index => this.toImplicant(index, variables.length));
+        const canSimplify = variables.length <= MAX_MINIMIZE_VARIABLES;
+
+        return {
+            expression: this.parser.format(table.ast),
+            variables: variables,
+            minterms: minterms,
+            maxterms: maxterms,
+            dnf: {
+                canonical: this.formatDNF(dnfTerms, variables),
+                compact: `Σm(${minterms.join(', ')})`,
+                simplified: canSimplify ? this.formatDNF(this.simplify(minterms, variables.length), variables) : null
+            },
+            cnf: {
+                canonical: this.formatCNF(cnfTerms, variables),
+                compact: `ΠM(${maxterms.join(', ')})`,
+                simplified: canSimplify ? this.formatCNF(this.simplify(maxterms, variables.length), variables) : null
+            }
+        };
+    }
+
+    /**
+     * 用 Quine–McCluskey 方法求最简与或式
+     * 返回 { expression, variables, minterms, primes, essential, cover, sop }，
+     * primes 为全部质蕴含项，essential 为其中的必要质蕴含项，cover 为选出的最小覆盖
+     * 变元超过 MAX_MINIMIZE_VARIABLES 个时抛出异常
+     */
+    minimize(expression) {
+        const table = this.truthTableGenerator.computeTable(expression);
+        const variables = table.variables;
+        if (variables.length > MAX_MINIMIZE_VARIABLES) {
+            throw new Error(`变元共 ${variables.length} 个，超过化简的上限（${MAX_MINIMIZE_VARIABLES} 个变元），计算量过大`);
+        }
+        const minterms = table.rows.filter(row => row.result).map(row => row.index);
+
+        const primes = this.sortImplicants(this.primeImplicants(minterms, variables.length));
+        const essential = primes.filter(implicant => minterms.some(index =>
+            this.covers(implicant, index) &&
+            primes.filter(other => this.covers(other, index)).length === 1));
+        const cover = this.simplify(minterms, variables.length);
+
+        return {
+            expression: this.parser.format(table.ast),
+            variables: variables,
+            minterms: minterms,
+            primes: primes,
+            essential: essential,
+            cover: cover,
+            sop: this.formatDNF(cover, variables)
+        };
+    }
+
+    /**
+     * 将编号转换为蕴含项字符串，如 5 (3 个变元) 为 "101"
+     * 蕴含项中 '1' 表示变元为真，'0' 表示为假，'-' 表示与该变元无关
+     */
+    toImplicant(index, variableCount) {
+        let implicant = '';
+        for (let j = variableCount - 1; j >= 0; j--) {
+            implicant += (index >> j) & 1 ? '1' : '0';
+        }
+        return implicant;
+    }
+
+    /**
+     * 判断蕴含项是否覆盖某个编号
+     */
+    covers(implicant, index) {
+        const bits = this.toImplicant(index, implicant.length);
+        return implicant.split('').every((char, i) => char === '-' || char === bits[i]);
+    }
+
+    /**
+     * 求出覆盖给定编号的所有质蕴含项（反复合并只相差一位的蕴含项）
+     * 蕴含项按无关位的位置和 1 的个数分组，能合并的两项无关位相同、1 的个数相差 1，
+     * 因此只需在相邻的组之间查找：把某项的一个 0 改为 1，看下一组中是否有这一项
+     */
+    primeImplicants(indices, variableCount) {
+        let current = indices.map(index => this.toImplicant(index, variableCount));
+        const primes = [];
+
+        while (current.length > 0) {
+            const groups = new Map();
+            const groupKey = (implicant, ones) => `${implicant.replace(/[01]/g, 'x')}:${ones}`;
+            const onesOf = implicant => implicant.split('').filter(char => char === '1').length;
+            current.forEach(implicant => {
+                const key = groupKey(implicant, onesOf(implicant));
+                if (!groups.has(key)) {
+                    groups.set(key, new Set());
+                }
+                groups.get(key).add(implicant);
+            });
+
+            const merged = new Set();
+            const used = new Set();
+            current.forEach(implicant => {
+                const next = groups.get(groupKey(implicant, onesOf(implicant) + 1));
+                if (!next) return;
+
+                for (let i = 0; i < implicant.length; i++) {
+                    if (implicant[i] !== '0') continue;
+                    const neighbour = implicant.slice(0, i) + '1' + implicant.slice(i + 1);
+                    if (next.has(neighbour)) {
+                        merged.add(implicant.slice(0, i) + '-' + implicant.slice(i + 1));
+                        used.add(implicant);
+                        used.add(neighbour);
+                    }
+                }
+            });
+
+            current.forEach(implicant => {
+                if (!used.has(implicant)) {
+                    primes.push(implicant);
+                }
+            });
+            current = Array.from(merged);
+        }
+
+        return primes;
+    }
+
+    /**
+     * 化简：求出质蕴含项后选取最小覆盖
+     */
+    simplify(indices, variableCount) {
+        return this.sortImplicants(this.minimumCover(this.primeImplicants(indices, variableCount), indices));
+    }
+
+    /**
+     * 从质蕴含项中选取覆盖所有编号的最小集合
+     * 先选必要质蕴含项（唯一覆盖某个编号的质蕴含项），其余部分用分支限界法求出项数最少、
+     * 项数相同时文字最少的覆盖；候选项超过 MAX_EXACT_COVER_PRIMES 个时改为贪心选择
+     */
+    minimumCover(primes, indices) {
+        const chosen = [];
+        indices.forEach(index => {
+            const covering = primes.filter(implicant => this.covers(implicant, index));
+            if (covering.length === 1 && !chosen.includes(covering[0])) {
+                chosen.push(covering[0]);
+            }
+        });
+
+        const uncovered = indices.filter(index => !chosen.some(implicant => this.covers(implicant, index)));
+        const candidates = primes.filter(implicant =>
+            !chosen.includes(implicant) && uncovered.some(index => this.covers(implicant, index)));
+
+        if (candidates.length > MAX_EXACT_COVER_PRIMES) {
+            return chosen.concat(this.greedyCover(candidates, uncovered));
+        }
+
+        const literals = implicants => implicants.reduce((sum, implicant) => sum + this.literalCount(implicant), 0);
+        let best = null;
+
+        const search = (selected, remaining) => {
+            if (best && (selected.length > best.length ||
+                (selected.length === best.length && literals(selected) >= literals(best)))) {
+                return;
+            }
+            if (remaining.length === 0) {
+                best = selected.slice();
+                return;
+            }
+
+            // 从覆盖方式最少的编号开始分支
+            const options = remaining.map(index => candidates.filter(implicant => this.covers(implicant, index)));
+            const branch = options.reduce((a, b) => (b.length < a.length ? b : a));
+            branch.forEach(implicant => {
+                selected.push(implicant);
+                search(selected, remaining.filter(index => !this.covers(implicant, index)));
+                selected.pop();
+            });
+        };
+        search([], uncovered);
+
+        return chosen.concat(best);
+    }
+
+    /**
+     * 贪心选择覆盖最多剩余编号的质蕴含项，直到覆盖所有编号
+     */
+    greedyCover(primes, indices) {
+        const uncovered = new Set(indices);
+        const chosen = [];
+        const count = implicant => Array.from(uncovered).filter(index => this.covers(implicant, index)).length;
+
+        while (uncovered.size > 0) {
+            const best = primes
+                .filter(implicant => !chosen.includes(implicant))
+                .reduce((a, b) => (count(b) > count(a) ? b : a));
+            chosen.push(best);
+            indices.forEach(index => {
+                if (this.covers(best, index)) {
+                    uncovered.delete(index);
+                }
+            });
+        }
+        return chosen;
+    }
+
+    /**
+     * 蕴含项中的文字个数
+     */
+    literalCount(implicant) {
+        return implicant.split('').filter(char => char !== '-').length;
+    }
+
+    /**
+     * 按变元顺序排列蕴含项：先含第一个变元的项，正文字在否定文字之前
+     */
+    sortImplicants(implicants) {
+        const rank = { '1': 0, '0': 1, '-': 2 };
+        return implicants.slice().sort((a, b) => {
+            for (let i = 0; i < a.length; i++) {
+                if (a[i] !== b[i]) return rank[a[i]] - rank[b[i]];
+            }
+            return 0;
+        });
+    }
+
+    /**
+     * 将蕴含项转换为合取项（析取范式中的一项）
+     */
+    toConjunction(implicant, variables) {
+        const literals = [];
+        implicant.split('').forEach((char, i) => {
+            if (char === '-') return;
+            const variable = LogicNodes.variable(variables[i]);
+            literals.push(char === '1' ? variable : LogicNodes.negation(variable));
+        });
+        return this.join('∧', literals, true);
+    }
+
+    /**
+     * 将蕴含项转换为析取项（合取范式中的一项），变元为真的位置取否定
+     */
+    toDisjunction(implicant, variables) {
+        const literals = [];
+        implicant.split('').forEach((char, i) => {
+            if (char === '-') return;
+            const variable = LogicNodes.variable(variables[i]);
+            literals.push(char === '0' ? variable : LogicNodes.negation(variable));
+        });
+        return this.join('∨', literals, false);
+    }
+
+    /**
+     * 用同一运算符左结合地连接多个节点，没有节点时返回常元 emptyValue
+     */
+    join(operator, nodes, emptyValue) {
+        if (nodes.length === 0) {
+            return LogicNodes.constant(emptyValue);
+        }
+        return nodes.reduce((left, right) => LogicNodes.binary(operator, left, right));
+    }
+
+    /**
+     * 格式化析取范式，没有合取项时为 ⊥
+     */
+    formatDNF(implicants, variables) {
+        const terms = implicants.map(implicant => this.toConjunction(implicant, variables));
+        return this.parser.format(this.join('∨', terms, false));
+    }
+
+    /**
+     * 格式化合取范式，没有析取项时为 ⊤
+     */
+    formatCNF(implicants, variables) {
+        const clauses = implicants.map(implicant => this.toDisjunction(implicant, variables));
+        return this.parser.format(this.join('∧', clauses, true));
+    }
+
+    /**
+     * 渲染转换结果
+     * onLoad 在点击"载入画布"时以对应公式文本调用
+     */
+    render(containerId, result, onLoad) {
+        const container = document.getElementById(containerId);
+        if (!container || !result) return;
+
+        container.innerHTML = '';
+
+        const summaryDiv = document.createElement('div');
+        summaryDiv.className = 'analysis-summary';
+
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'analysis-label';
+        labelSpan.textContent = result.expression;
+
+        const detailSpan = document.createElement('span');
+        detailSpan.textContent = result.variables.length > 0
+            ? `编号规则: 按 ${result.variables.join(', ')} 的顺序，T 记为 1，F 记为 0`
+            : '表达式中没有变元';
+
+        summaryDiv.appendChild(labelSpan);
+        summaryDiv.appendChild(detailSpan);
+        container.appendChild(summaryDiv);
+
+        const items = [
+            ['主析取范式', result.dnf.compact, result.dnf.canonical],
+            ['化简的析取范式', null, result.dnf.simplified],
+            ['主合取范式', result.cnf.compact, result.cnf.canonical],
+            ['化简的合取范式', null, result.cnf.simplified]
+        ];
+
+        items.forEach(([title, compact, formula]) => {
+            const section = document.createElement('div');
+            section.className = 'normal-form';
+
+            const header = document.createElement('div');
+            header.className = 'normal-form-header';
+
+            const titleSpan = document.createElement('span');
+            titleSpan.className = 'normal-form-title';
+            titleSpan.textContent = compact ? `${title}  ${compact}` : title;
+            header.appendChild(titleSpan);
+
+            const formulaDiv = document.createElement('div');
+            formulaDiv.className = 'normal-form-formula';
+
+            if (formula === null) {
+                formulaDiv.textContent = `变元超过 ${MAX_MINIMIZE_VARIABLES} 个，化简的计算量过大，未求出`;
+            } else {
+                const loadBtn = document.createElement('button');
+                loadBtn.className = 'btn btn-secondary btn-inline';
+                loadBtn.textContent = '载入画布';
+                loadBtn.addEventListener('click', () => onLoad(formula));
+                header.appendChild(loadBtn);
+                formulaDiv.textContent = formula;
+            }
+
+            section.appendChild(header);
+            section.appendChild(formulaDiv);
+            container.appendChild(section);
+        });
+    }
+}
+
+// 导出到全局作用域
+window.NormalFormConverter = NormalFormConverter;
@@ -0,0 +1,292 @@
+/**
+ * 归结反驳
+ * 把前提和结论的否定化为子句集，反复归结直到得到空子句（论证有效）或不再产生新子句（论证无效）
+ */
+
+// 归结过程中子句数的上限，超过时停止
+const MAX_RESOLUTION_CLAUSES = 500;
+
+class ResolutionProver {
+    constructor(normalFormConverter) {
+        this.converter = normalFormConverter;
+        this.truthTableGenerator = normalFormConverter.truthTableGenerator;
+        this.parser = normalFormConverter.parser;
+    }
+
+    /**
+     * 把公式化为子句，每个子句为排好序的文字数组（如 ['p', '~q']），空数组为空子句
+     * 子句取自化简的合取范式：每个析取项是一个子句
+     */
+    toClauses(expression) {
+        const table = this.truthTableGenerator.computeTable(expression);
+        const variables = table.variables;
+        const maxterms = table.rows.filter(row => !row.result).map(row => row.index);
+
+        return this.converter.simplify(maxterms, variables.length).map(implicant => {
+            const literals = [];
+            implicant.split('').forEach((char, i) => {
+                if (char === '0') literals.push(variables[i]);
+                if (char === '1') literals.push(`~${variables[i]}`);
+            });
+            return this.sortLiterals(literals);
+        });
+    }
+
+    /**
+     * 文字按变元名排序，同一变元的正文字在前
+     */
+    sortLiterals(literals) {
+        const name = literal => literal.replace(/^~/, '');
+        return literals.slice().sort((a, b) =>
+            this.parser.compareNames(name(a), name(b)) || a.length - b.length);
+    }
+
+    /**
+     * 文字的补
+     */
+    complement(literal) {
+        return literal.startsWith('~') ? literal.slice(1) : `~${literal}`;
+    }
+
+    /**
+     * 子句的文本，空子句为 □
+     */
+    clauseText(literals) {
+        return literals.length > 0 ? `{${literals.join(', ')}}` : '□';
+    }
+
+    /**
+     * 子句对应的公式（文字的析取），空子句为 ⊥
+     */
+    clauseFormula(literals) {
+        const nodes = literals.map(literal => this.parser.parse(literal));
+        return this.parser.format(this.converter.join('∨', nodes, false));
+    }
+
+    /**
+     * 对前提和结论做归结反驳
+     * 返回 { sources, clauses, refuted, proof }：
+     *   sources 为前提和结论的否定，每项为 { label, formula, cnf, equivalent }，equivalent 为子句集与原公式等价的检验结果
+     *   clauses 为全部子句，每项为 { id, literals, parents, literal, source, sound }，
+     *           初始子句的 parents 为 null，归结式的 parents 为两个亲本子句的编号，literal 为被消去的文字，
+     *           sound 为用真值表检验归结式是否被亲本子句蕴含的结果
+     *   refuted 为是否得到空子句，proof 为推出空子句用到的子句编号
+     */
+    refute(premises, conclusion) {
+        const sources = premises.map((premise, i) => ({ label: `前提 ${i + 1}`, expression: premise }));
+        if (conclusion) {
+            let ast;
+            try {
+                ast = this.parser.parse(conclusion);
+            } catch (error) {
+                error.expressionIndex = premises.length;
+                throw error;
+            }
+            sources.push({ label: '结论的否定', expression: this.parser.format(LogicNodes.negation(ast)) });
+        }
+
+        const clauses = [];
+        const seen = new Set();
+        const addClause = (literals, parents, literal, source) => {
+            const key = literals.join(',');
+            if (seen.has(key)) return null;
+            if (clauses.length >= MAX_RESOLUTION_CLAUSES) {
+                throw new Error(`子句超过 ${MAX_RESOLUTION_CLAUSES} 个，已停止归结`);
+            }
+            seen.add(key);
+            const clause = {
+                id: clauses.length + 1,
+                literals: literals,
+                parents: parents,
+                literal: literal,
+                source: source,
+                sound: true
+            };
+            clauses.push(clause);
+            return clause;
+        };
+
+        const sourceResults = sources.map((source, i) => {
+            let clauseList;
+            try {
+                clauseList = this.toClauses(source.expression);
+            } catch (error) {
+                error.expressionIndex = i;
+                throw error;
+            }
+            const cnf = this.parser.format(this.converter.join('∧',
+                clauseList.map(literals => this.parser.parse(this.clauseFormula(literals))), true));
+            clauseList.forEach(literals => addClause(literals, null, null, source.label));
+            return {
+                label: source.label,
+                formula: this.parser.format(this.parser.parse(source.expression)),
+                cnf: cnf,
+                equivalent: this.truthTableGenerator.checkEquivalence(source.expression, cnf).equivalent
+            };
+        });
+
+        // 按编号顺序两两归结，新子句排在末尾，直到得到空子句或没有新子句
+        let empty = clauses.find(clause => clause.literals.length === 0) || null;
+        for (let j = 1; j < clauses.length && !empty; j++) {
+            for (let i = 0; i < j && !empty; i++) {
+                const [a, b] = [clauses[i], clauses[j]];
+                for (const literal of a.literals) {
+                    if (!b.literals.includes(this.complement(literal))) continue;
+
+                    const literals = this.sortLiterals(Array.from(new Set(
+                        a.literals.filter(other => other !== literal)
+                            .concat(b.literals.filter(other => other !== this.complement(literal))))));
+
+                    // 含互补文字的子句恒真，被已有子句包含的子句多余，都不加入
+                    if (literals.some(other => literals.includes(this.complement(other)))) continue;
+                    if (clauses.some(clause => clause.literals.every(other => literals.includes(other)))) continue;
+
+                    const resolvent = addClause(literals, [a.id, b.id], literal, null);
+                    if (!resolvent) continue;
+                    resolvent.sound = this.isEntailed(a, b, resolvent);
+                    if (literals.length === 0) {
+                        empty = resolvent;
+                    }
+                    break;
+                }
+            }
+        }
+
+        // 从空子句回溯出用到的子句
+        const proof = new Set();
+        const collect = (clause) => {
+            if (proof.has(clause.id)) return;
+            proof.add(clause.id);
+            (clause.parents || []).forEach(id => collect(clauses[id - 1]));
+        };
+        if (empty) {
+            collect(empty);
+        }
+
+        return { sources: sourceResults, clauses: clauses, refuted: empty !== null, proof: proof };
+    }
+
+    /**
+     * 用真值表检验归结式：两个亲本子句都为真的每一行，归结式也为真
+     */
+    isEntailed(a, b, resolvent) {
+        const table = this.truthTableGenerator.computeJointTable(
+            [a, b, resolvent].map(clause => this.clauseFormula(clause.literals)));
+        return table.rows.every(row => !(row.results[0] && row.results[1]) || row.results[2]);
+    }
+
+    /**
+     * 渲染归结过程
+     * 初始子句全部显示，归结式可逐步显示；全部显示后给出结论
+     */
+    render(containerId, result) {
+        const container = document.getElementById(containerId);
+        if (!container || !result) return;
+
+        container.innerHTML = '';
+
+        // 前提与结论的否定及其子句形式
+        result.sources.forEach(source => {
+            const section = document.createElement('div');
+            section.className = 'normal-form';
+
+            const header = document.createElement('div');
+            header.className = 'normal-form-header';
+            header.textContent = `${source.label}: ${source.formula}`;
+
+            const formulaDiv = document.createElement('div');
+            formulaDiv.className = 'normal-form-formula';
+            formulaDiv.textContent = `${source.cnf}  ${source.equivalent ? '✓' : '✗ 与原公式不等价'}`;
+
+            section.appendChild(header);
+            section.appendChild(formulaDiv);
+            container.appendChild(section);
+        });
+
+        const table = document.createElement('table');
+        table.className = 'truth-table resolution-table';
+
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        ['编号', '子句', '来源', '检验'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        const resolventRows = [];
+        result.clauses.forEach(clause => {
+            const tr = document.createElement('tr');
+            if (result.proof.has(clause.id)) {
+                tr.className = 'in-proof';
+            }
+
+            const origin = clause.parents
+                ? `(${clause.parents[0]}) 与 (${clause.parents[1]}) 消去 ${clause.literal.replace(/^~/, '')}`
+                : clause.source;
+            [`(${clause.id})`, this.clauseText(clause.literals), origin, clause.sound ? '✓' : '✗'].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+
+            if (clause.parents) {
+                tr.style.display = 'none';
+                resolventRows.push(tr);
+            }
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        container.appendChild(table);
+
+        const summaryDiv = document.createElement('div');
+        summaryDiv.className = 'analysis-summary';
+
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'analysis-label';
+        labelSpan.textContent = result.refuted ? '得到空子句 □，论证有效' : '子句集已饱和，论证无效';
+
+        const detailSpan = document.createElement('span');
+        detailSpan.textContent = result.refuted
+            ? `推出空子句用到了 ${result.proof.size} 个子句（已高亮）`
+            : `共 ${result.clauses.length} 个子句，没有新的归结式，也没有得到空子句`;
+
+        summaryDiv.appendChild(labelSpan);
+        summaryDiv.appendChild(detailSpan);
+
+        const actions = document.createElement('div');
+        actions.className = 'proof-actions';
+
+        let shown = 0;
+        const update = () => {
+            resolventRows.forEach((tr, i) => {
+                tr.style.display = i < shown ? '' : 'none';
+            });
+            const finished = shown >= resolventRows.length;
+            summaryDiv.style.display = finished ? '' : 'none';
+            actions.style.display = finished ? 'none' : '';
+        };
+
+        [['下一步', 'btn-primary', () => shown++], ['全部显示', 'btn-secondary', () => { shown = resolventRows.length; }]]
+            .forEach(([text, style, handler]) => {
+                const btn = document.createElement('button');
+                btn.className = `btn ${style} btn-inline`;
+                btn.textContent = text;
+                btn.addEventListener('click', () => {
+                    handler();
+                    update();
+                });
+                actions.appendChild(btn);
+            });
+
+        container.appendChild(actions);
+        container.appendChild(summaryDiv);
+        update();
+    }
+}
+
+// 导出到全局作用域
+window.ResolutionProver = ResolutionProver;
@@ -0,0 +1,403 @@
+/**
+ * 等值演算引擎
+ * 在语法树上按命名的等值定律逐步改写子公式，记录每一步，得到完整的演算过程
+ */
+
+const isUnaryNode = (node, operator) => node.type === 'unary' && node.operator === operator;
+const isBinaryNode = (node, operator) => node.type === 'binary' && node.operator === operator;
+const isConstantNode = (node, value) => node.type === 'constant' && node.value === value;
+
+// 可交换、可结合的二元运算符
+const COMMUTATIVE_OPERATORS = ['∧', '∨', '↔', '⊕', '↑', '↓'];
+const ASSOCIATIVE_OPERATORS = ['∧', '∨'];
+
+// 对偶运算符
+const DUAL = { '∧': '∨', '∨': '∧' };
+
+/**
+ * 等值定律
+ * rewrite(node, same) 在能应用时返回改写后的节点，否则返回 null
+ * same(a, b) 判断两个子公式是否相同
+ */
+const REWRITE_LAWS = [
+    {
+        name: '双重否定律',
+        pattern: '~~A ⇔ A',
+        rewrite: node => (isUnaryNode(node, '~') && isUnaryNode(node.operand, '~') ? node.operand.operand : null)
+    },
+    ...['∧', '∨'].map(operator => ({
+        name: '德摩根律',
+        pattern: `~(A${operator}B) ⇔ ~A${DUAL[operator]}~B`,
+        rewrite: node => (isUnaryNode(node, '~') && isBinaryNode(node.operand, operator)
+            ? LogicNodes.binary(DUAL[operator], LogicNodes.negation(node.operand.left), LogicNodes.negation(node.operand.right))
+            : null)
+    })),
+    ...['∧', '∨'].map(operator => ({
+        name: '德摩根律',
+        pattern: `~A${operator}~B ⇔ ~(A${DUAL[operator]}B)`,
+        rewrite: node => (isBinaryNode(node, operator) && isUnaryNode(node.left, '~') && isUnaryNode(node.right, '~')
+            ? LogicNodes.negation(LogicNodes.binary(DUAL[operator], node.left.operand, node.right.operand))
+            : null)
+    })),
+    {
+        name: '蕴含等值式',
+        pattern: 'A→B ⇔ ~A∨B',
+        rewrite: node => (isBinaryNode(node, '→') ? LogicNodes.binary('∨', LogicNodes.negation(node.left), node.right) : null)
+    },
+    {
+        name: '蕴含等值式',
+        pattern: '~A∨B ⇔ A→B',
+        rewrite: node => (isBinaryNode(node, '∨') && isUnaryNode(node.left, '~') ? LogicNodes.binary('→', node.left.operand, node.right) : null)
+    },
+    {
+        name: '假言易位',
+        pattern: 'A→B ⇔ ~B→~A',
+        rewrite: node => (isBinaryNode(node, '→') ? LogicNodes.binary('→', LogicNodes.negation(node.right), LogicNodes.negation(node.left)) : null)
+    },
+    {
+        name: '等价等值式',
+        pattern: 'A↔B ⇔ (A→B)∧(B→A)',
+        rewrite: node => (isBinaryNode(node, '↔')
+            ? LogicNodes.binary('∧', LogicNodes.binary('→', node.left, node.right), LogicNodes.binary('→', node.right, node.left))
+            : null)
+    },
+    {
+        name: '等价等值式',
+        pattern: 'A↔B ⇔ (A∧B)∨(~A∧~B)',
+        rewrite: node => (isBinaryNode(node, '↔')
+            ? LogicNodes.binary('∨', LogicNodes.binary('∧', node.left, node.right), LogicNodes.binary('∧', LogicNodes.negation(node.left), LogicNodes.negation(node.right)))
+            : null)
+    },
+    {
+        name: '异或等值式',
+        pattern: 'A⊕B ⇔ (A∧~B)∨(~A∧B)',
+        rewrite: node => (isBinaryNode(node, '⊕')
+            ? LogicNodes.binary('∨', LogicNodes.binary('∧', node.left, LogicNodes.negation(node.right)), LogicNodes.binary('∧', LogicNodes.negation(node.left), node.right))
+            : null)
+    },
+    {
+        name: '与非等值式',
+        pattern: 'A↑B ⇔ ~(A∧B)',
+        rewrite: node => (isBinaryNode(node, '↑') ? LogicNodes.negation(LogicNodes.binary('∧', node.left, node.right)) : null)
+    },
+    {
+        name: '或非等值式',
+        pattern: 'A↓B ⇔ ~(A∨B)',
+        rewrite: node => (isBinaryNode(node, '↓') ? LogicNodes.negation(LogicNodes.binary('∨', node.left, node.right)) : null)
+    },
+    ...['∧', '∨'].map(operator => ({
+        name: '分配律',
+        pattern: `A${operator}(B${DUAL[operator]}C) ⇔ (A${operator}B)${DUAL[operator]}(A${operator}C)`,
+        rewrite: node => (isBinaryNode(node, operator) && isBinaryNode(node.right, DUAL[operator])
+            ? LogicNodes.binary(DUAL[operator],
+                LogicNodes.binary(operator, node.left, node.right.left),
+                LogicNodes.binary(operator, node.left, node.right.right))
+            : null)
+    })),
+    ...['∧', '∨'].map(operator => ({
+        name: '分配律',
+        pattern: `(A${DUAL[operator]}B)${operator}C ⇔ (A${operator}C)${DUAL[operator]}(B${operator}C)`,
+        rewrite: node => (isBinaryNode(node, operator) && isBinaryNode(node.left, DUAL[operator])
+            ? LogicNodes.binary(DUAL[operator],
+                LogicNodes.binary(operator, node.left.left, node.right),
+                LogicNodes.binary(operator, node.left.right, node.right))
+            : null)
+    })),
+    ...['∧', '∨'].map(operator => ({
+        name: '分配律',
+        pattern: `(A${operator}B)${DUAL[operator]}(A${operator}C) ⇔ A${operator}(B${DUAL[operator]}C)`,
+        rewrite: (node, same) => {
+            if (!isBinaryNode(node, DUAL[operator]) || !isBinaryNode(node.left, operator) || !isBinaryNode(node.right, operator)) {
+                return null;
+            }
+            if (same(node.left.left, node.right.left)) {
+                return LogicNodes.binary(operator, node.left.left, LogicNodes.binary(DUAL[operator], node.left.right, node.right.right));
+            }
+            if (same(node.left.right, node.right.right)) {
+                return LogicNodes.binary(operator, LogicNodes.binary(DUAL[operator], node.left.left, node.right.left), node.left.right);
+            }
+            return null;
+        }
+    })),
+    ...COMMUTATIVE_OPERATORS.map(operator => ({
+        name: '交换律',
+        pattern: `A${operator}B ⇔ B${operator}A`,
+        rewrite: node => (isBinaryNode(node, operator) ? LogicNodes.binary(operator, node.right, node.left) : null)
+    })),
+    ...ASSOCIATIVE_OPERATORS.map(operator => ({
+        name: '结合律',
+        pattern: `(A${operator}B)${operator}C ⇔ A${operator}(B${operator}C)`,
+        rewrite: node => (isBinaryNode(node, operator) && isBinaryNode(node.left, operator)
+            ? LogicNodes.binary(operator, node.left.left, LogicNodes.binary(operator, node.left.right, node.right))
+            : null)
+    })),
+    ...ASSOCIATIVE_OPERATORS.map(operator => ({
+        name: '结合律',
+        pattern: `A${operator}(B${operator}C) ⇔ (A${operator}B)${operator}C`,
+        rewrite: node => (isBinaryNode(node, operator) && isBinaryNode(node.right, operator)
+            ? LogicNodes.binary(operator, LogicNodes.binary(operator, node.left, node.right.left), node.right.right)
+            : null)
+    })),
+    ...['∧', '∨'].map(operator => ({
+        name: '幂等律',
+        pattern: `A${operator}A ⇔ A`,
+        rewrite: (node, same) => (isBinaryNode(node, operator) && same(node.left, node.right) ? node.left : null)
+    })),
+    ...['∧', '∨'].map(operator => ({
+        name: '吸收律',
+        pattern: `A${operator}(A${DUAL[operator]}B) ⇔ A`,
+        rewrite: (node, same) => {
+            if (!isBinaryNode(node, operator)) return null;
+            const absorbs = (a, b) => isBinaryNode(b, DUAL[operator]) && (same(a, b.left) || same(a, b.right));
+            if (absorbs(node.left, node.right)) return node.left;
+            if (absorbs(node.right, node.left)) return node.right;
+            return null;
+        }
+    })),
+    ...[['∧', true], ['∨', false]].map(([operator, value]) => ({
+        name: '同一律',
+        pattern: `A${operator}${value ? '⊤' : '⊥'} ⇔ A`,
+        rewrite: node => {
+            if (!isBinaryNode(node, operator)) return null;
+            if (isConstantNode(node.right, value)) return node.left;
+            if (isConstantNode(node.left, value)) return node.right;
+            return null;
+        }
+    })),
+    ...[['∧', false], ['∨', true]].map(([operator, value]) => ({
+        name: '零律',
+        pattern: `A${operator}${value ? '⊤' : '⊥'} ⇔ ${value ? '⊤' : '⊥'}`,
+        rewrite: node => (isBinaryNode(node, operator) && (isConstantNode(node.left, value) || isConstantNode(node.right, value))
+            ? LogicNodes.constant(value)
+            : null)
+    })),
+    ...[['∨', '排中律', true], ['∧', '矛盾律', false]].map(([operator, name, value]) => ({
+        name: name,
+        pattern: `A${operator}~A ⇔ ${value ? '⊤' : '⊥'}`,
+        rewrite: (node, same) => (isBinaryNode(node, operator) &&
+            ((isUnaryNode(node.right, '~') && same(node.left, node.right.operand)) ||
+             (isUnaryNode(node.left, '~') && same(node.right, node.left.operand)))
+            ? LogicNodes.constant(value)
+            : null)
+    })),
+    {
+        name: '常元否定',
+        pattern: '~⊤ ⇔ ⊥，~⊥ ⇔ ⊤',
+        rewrite: node => (isUnaryNode(node, '~') && node.operand.type === 'constant'
+            ? LogicNodes.constant(!node.operand.value)
+            : null)
+    }
+];
+
+class RewriteEngine {
+    constructor(parser, laws = REWRITE_LAWS) {
+        this.parser = parser;
+        this.laws = laws;
+        this.ast = null;
+        this.steps = [];
+        this.target = null;
+    }
+
+    /**
+     * 以表达式为起点开始新的演算
+     * 每一步为 { expression, law, pattern, before, after }，第一步为原式，law 为 null
+     */
+    start(expression) {
+        this.ast = this.parser.parse(expression);
+        this.steps = [{
+            expression: this.parser.format(this.ast),
+            law: null,
+            pattern: null,
+            before: null,
+            after: null
+        }];
+        return this.steps[0];
+    }
+
+    /**
+     * 设置目标公式（规范化为格式化文本），为空时清除目标
+     */
+    setTarget(target) {
+        this.target = target ? this.parser.format(this.parser.parse(target)) : null;
+    }
+
+    /**
+     * 当前演算到的公式
+     */
+    currentExpression() {
+        return this.steps.length > 0 ? this.steps[this.steps.length - 1].expression : '';
+    }
+
+    /**
+     * 是否已得到目标公式
+     */
+    isComplete() {
+        return this.target !== null && this.currentExpression() === this.target;
+    }
+
+    /**
+     * 在当前公式中查找文本为 text 的子公式，找不到时返回 null
+     */
+    findSubformula(text) {
+        let found = null;
+        const visit = (node) => {
+            if (found) return;
+            if (this.parser.format(node) === text) {
+                found = node;
+            } else if (node.type === 'unary') {
+                visit(node.operand);
+            } else if (node.type === 'binary') {
+                visit(node.left);
+                visit(node.right);
+            }
+        };
+        visit(this.ast);
+        return found;
+    }
+
+    /**
+     * 列出可应用于子公式 text 的定律
+     * 每项为 { law, before, after, node }，node 为改写后的子公式，改写结果与原子公式相同的不列出
+     * text 不是当前公式的子公式时返回 null
+     */
+    findApplicable(text) {
+        const node = this.findSubformula(text);
+        if (!node) return null;
+
+        const same = (a, b) => this.parser.format(a) === this.parser.format(b);
+        const options = [];
+        this.laws.forEach(law => {
+            const result = law.rewrite(node, same);
+            if (!result) return;
+
+            const after = this.parser.format(result);
+            if (after !== text && !options.some(option => option.law.name === law.name && option.after === after)) {
+                options.push({ law: law, before: text, after: after, node: result });
+            }
+        });
+        return options;
+    }
+
+    /**
+     * 应用 findApplicable 返回的一项，记录并返回新的一步
+     * 画布上相同的子公式共用一个元素，因此公式中所有相同的子公式一并改写
+     */
+    apply(option) {
+        const replace = (node) => {
+            if (this.parser.format(node) === option.before) {
+                return option.node;
+            }
+            if (node.type === 'unary') {
+                return LogicNodes.unary(node.operator, replace(node.operand));
+            }
+            if (node.type === 'binary') {
+                return LogicNodes.binary(node.operator, replace(node.left), replace(node.right));
+            }
+            return node;
+        };
+
+        this.ast = replace(this.ast);
+        const step = {
+            expression: this.parser.format(this.ast),
+            law: option.law.name,
+            pattern: option.law.pattern,
+            before: option.before,
+            after: option.after
+        };
+        this.steps.push(step);
+        return step;
+    }
+
+    /**
+     * 渲染演算过程，以及所选子公式可用的定律
+     * options 为 findApplicable 的结果，未选择子公式时为 null
+     * onApply 在点击"应用"时以对应的一项调用
+     */
+    render(containerId, selectedText, options, onApply) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (this.target) {
+            const summaryDiv = document.createElement('div');
+            summaryDiv.className = 'analysis-summary';
+
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'analysis-label';
+            labelSpan.textContent = this.isComplete() ? '已得到目标公式' : '目标公式';
+
+            const detailSpan = document.createElement('span');
+            detailSpan.textContent = this.target;
+
+            summaryDiv.appendChild(labelSpan);
+            summaryDiv.appendChild(detailSpan);
+            container.appendChild(summaryDiv);
+        }
+
+        // 演算过程：每行为一个公式，除第一行外注明所用的定律
+        const chain = document.createElement('ol');
+        chain.className = 'derivation-chain';
+        this.steps.forEach((step, index) => {
+            const item = document.createElement('li');
+
+            const formulaSpan = document.createElement('span');
+            formulaSpan.className = 'derivation-formula';
+            formulaSpan.textContent = index === 0 ? step.expression : `⇔ ${step.expression}`;
+
+            const lawSpan = document.createElement('span');
+            lawSpan.className = 'derivation-law';
+            lawSpan.textContent = index === 0 ? '原式' : step.law;
+            if (step.pattern) {
+                lawSpan.title = `${step.pattern}，${step.before} ⇔ ${step.after}`;
+            }
+
+            item.appendChild(formulaSpan);
+            item.appendChild(lawSpan);
+            chain.appendChild(item);
+        });
+        container.appendChild(chain);
+
+        const hint = document.createElement('div');
+        hint.className = 'rewrite-hint';
+        container.appendChild(hint);
+
+        if (options === null) {
+            hint.textContent = '在画布上选择一个子公式，再点击"等值演算"列出可用的定律';
+            return;
+        }
+        if (options.length === 0) {
+            hint.textContent = `没有可应用于 ${selectedText} 的定律`;
+            return;
+        }
+        hint.textContent = `可应用于 ${selectedText} 的定律:`;
+
+        options.forEach(option => {
+            const row = document.createElement('div');
+            row.className = 'rewrite-option';
+
+            const lawSpan = document.createElement('span');
+            lawSpan.className = 'rewrite-law';
+            lawSpan.textContent = option.law.name;
+            lawSpan.title = option.law.pattern;
+
+            const resultSpan = document.createElement('span');
+            resultSpan.className = 'rewrite-result';
+            resultSpan.textContent = `${option.before} ⇔ ${option.after}`;
+
+            const applyBtn = document.createElement('button');
+            applyBtn.className = 'btn btn-secondary btn-inline';
+            applyBtn.textContent = '应用';
+            applyBtn.addEventListener('click', () => onApply(option));
+
+            row.appendChild(lawSpan);
+            row.appendChild(resultSpan);
+            row.appendChild(applyBtn);
+            container.appendChild(row);
+        });
+    }
+}
+
+// 导出到全局作用域
+window.REWRITE_LAWS = REWRITE_LAWS;
+window.RewriteEngine = RewriteEngine;
@@ -0,0 +1,335 @@
+/**
+ * SAT 求解器
+ * 用 Tseitin 编码把公式化为子句集，再用 DPLL（单元传播 + 回溯）判断可满足性，
+ * 不需要枚举全部 2^n 行，适用于变元较多、无法生成真值表的公式
+ */
+
+/**
+ * 各二元联结词的 Tseitin 子句：x 为代表子公式 a ○ b 的新变元，子句表达 x ↔ (a ○ b)
+ * 文字用非零整数表示，负数为否定
+ */
+const TSEITIN_CLAUSES = {
+    '∧': (x, a, b) => [[-x, a], [-x, b], [x, -a, -b]],
+    '∨': (x, a, b) => [[x, -a], [x, -b], [-x, a, b]],
+    '→': (x, a, b) => [[x, a], [x, -b], [-x, -a, b]],
+    '↔': (x, a, b) => [[-x, -a, b], [-x, a, -b], [x, a, b], [x, -a, -b]],
+    '⊕': (x, a, b) => [[-x, a, b], [-x, -a, -b], [x, -a, b], [x, a, -b]],
+    '↑': (x, a, b) => [[x, a], [x, b], [-x, -a, -b]],
+    '↓': (x, a, b) => [[-x, -a], [-x, -b], [x, a, b]]
+};
+
+class SatSolver {
+    constructor(parser) {
+        this.parser = parser;
+    }
+
+    /**
+     * Tseitin 编码
+     * 返回 { clauses, variables, variableCount }，variables 为原公式变元名到编号的映射，
+     * 相同的子公式共用同一个新变元，否定直接取反不引入新变元
+     */
+    encode(ast) {
+        const clauses = [];
+        const variables = new Map();
+        const subformulas = new Map();
+        let count = 0;
+
+        const visit = (node) => {
+            switch (node.type) {
+                case 'variable':
+                    if (!variables.has(node.name)) {
+                        variables.set(node.name, ++count);
+                    }
+                    return variables.get(node.name);
+                case 'constant': {
+                    const x = ++count;
+                    clauses.push([node.value ? x : -x]);
+                    return x;
+                }
+                case 'unary':
+                    return -visit(node.operand);
+                case 'binary': {
+                    const text = this.parser.format(node);
+                    if (subformulas.has(text)) {
+                        return subformulas.get(text);
+                    }
+                    const encodeClauses = TSEITIN_CLAUSES[node.operator];
+                    if (!encodeClauses) {
+                        throw new Error(`运算符 ${node.operator} 没有 Tseitin 编码`);
+                    }
+                    const a = visit(node.left);
+                    const b = visit(node.right);
+                    const x = ++count;
+                    encodeClauses(x, a, b).forEach(clause => clauses.push(clause));
+                    subformulas.set(text, x);
+                    return x;
+                }
+                default:
+                    throw new Error(`Unknown node type: ${node.type}`);
+            }
+        };
+
+        clauses.push([visit(ast)]);
+        return { clauses: clauses, variables: variables, variableCount: count };
+    }
+
+    /**
+     * DPLL 求解
+     * 返回 { satisfiable, assignment, decisions, conflicts }，assignment[v] 为 1（真）、-1（假）或 0（未赋值）
+     */
+    solve(clauses, variableCount) {
+        const assignment = new Int8Array(variableCount + 1);
+        const trail = [];
+        const decisions = [];
+        let decisionCount = 0;
+        let conflictCount = 0;
+
+        const value = literal => assignment[Math.abs(literal)] * Math.sign(literal);
+        const assign = (literal) => {
+            assignment[Math.abs(literal)] = Math.sign(literal);
+            trail.push(literal);
+        };
+
+        // 单元传播：反复找出只剩一个未赋值文字且尚未满足的子句，令该文字为真；出现全假的子句时返回 false
+        const propagate = () => {
+            let changed = true;
+            while (changed) {
+                changed = false;
+                for (const clause of clauses) {
+                    let unassigned = 0;
+                    let last = 0;
+                    let satisfied = false;
+                    for (const literal of clause) {
+                        const v = value(literal);
+                        if (v > 0) {
+                            satisfied = true;
+                            break;
+                        }
+                        if (v === 0) {
+                            unassigned++;
+                            last = literal;
+                        }
+                    }
+                    if (satisfied) continue;
+                    if (unassigned === 0) return false;
+                    if (unassigned === 1) {
+                        assign(last);
+                        changed = true;
+                    }
+                }
+            }
+            return true;
+        };
+
+        // 按出现次数从多到少选择分支变元
+        const occurrences = new Array(variableCount + 1).fill(0);
+        clauses.forEach(clause => clause.forEach(literal => occurrences[Math.abs(literal)]++));
+        const order = [];
+        for (let v = 1; v <= variableCount; v++) order.push(v);
+        order.sort((a, b) => occurrences[b] - occurrences[a]);
+
+        for (;;) {
+            if (!propagate()) {
+                conflictCount++;
+                // 回溯到最近一个还没试过另一取值的决策
+                let decision = decisions.pop();
+                while (decision && decision.flipped) {
+                    decision = decisions.pop();
+                }
+                if (!decision) {
+                    return { satisfiable: false, assignment: null, decisions: decisionCount, conflicts: conflictCount };
+                }
+                while (trail.length > decision.trailLength) {
+                    assignment[Math.abs(trail.pop())] = 0;
+                }
+                decisions.push({ trailLength: decision.trailLength, literal: -decision.literal, flipped: true });
+                assign(-decision.literal);
+                continue;
+            }
+
+            const next = order.find(v => assignment[v] === 0);
+            if (next === undefined) {
+                return { satisfiable: true, assignment: assignment, decisions: decisionCount, conflicts: conflictCount };
+            }
+            decisionCount++;
+            decisions.push({ trailLength: trail.length, literal: next, flipped: false });
+            assign(next);
+        }
+    }
+
+    /**
+     * 判断语法树是否可满足
+     * 返回 { satisfiable, model, stats }，model 为原公式各变元的取值，stats 为 { variables, clauses, decisions, conflicts }
+     */
+    check(ast) {
+        const encoding = this.encode(ast);
+        const result = this.solve(encoding.clauses, encoding.variableCount);
+
+        let model = null;
+        if (result.satisfiable) {
+            model = {};
+            this.parser.getVariables(ast).forEach(name => {
+                model[name] = result.assignment[encoding.variables.get(name)] > 0;
+            });
+        }
+
+        return {
+            satisfiable: result.satisfiable,
+            model: model,
+            stats: {
+                variables: encoding.variableCount,
+                clauses: encoding.clauses.length,
+                decisions: result.decisions,
+                conflicts: result.conflicts
+            }
+        };
+    }
+
+    /**
+     * 判断公式的类型
+     * 返回 { kind: 'formula', expression, variables, satisfiable, valid, type, label, model, counterexample, stats }，
+     * model 为一个成真赋值，counterexample 为一个成假赋值
+     */
+    analyze(expression) {
+        const ast = this.parser.parse(expression);
+        const positive = this.check(ast);
+        const negative = this.check(LogicNodes.negation(ast));
+
+        let type = 'contingency';
+        if (!negative.satisfiable) type = 'tautology';
+        if (!positive.satisfiable) type = 'contradiction';
+
+        return {
+            kind: 'formula',
+            expression: this.parser.format(ast),
+            variables: this.parser.getVariables(ast),
+            satisfiable: positive.satisfiable,
+            valid: !negative.satisfiable,
+            type: type,
+            label: CLASSIFICATION_LABELS[type],
+            model: positive.model,
+            counterexample: negative.model,
+            stats: positive.stats
+        };
+    }
+
+    /**
+     * 判断两个表达式是否等价：~(A↔B) 不可满足时等价
+     * 返回 { kind: 'equivalence', expressions, equivalent, counterexample, stats }
+     */
+    checkEquivalence(expression1, expression2) {
+        const asts = [expression1, expression2].map((expression, i) => this.parseAt(expression, i));
+        const result = this.check(LogicNodes.negation(LogicNodes.binary('↔', asts[0], asts[1])));
+
+        return {
+            kind: 'equivalence',
+            expressions: asts.map(ast => this.parser.format(ast)),
+            equivalent: !result.satisfiable,
+            counterexample: result.model,
+            stats: result.stats
+        };
+    }
+
+    /**
+     * 判断论证是否有效：前提的合取与结论的否定不可满足时有效
+     * 返回 { kind: 'argument', expressions, valid, counterexample, stats }，expressions 最后一项为结论
+     */
+    checkArgument(premises, conclusion) {
+        const asts = premises.concat([conclusion]).map((expression, i) => this.parseAt(expression, i));
+        const negated = LogicNodes.negation(asts[asts.length - 1]);
+        const result = this.check(asts.slice(0, -1).reduceRight((rest, premise) => LogicNodes.binary('∧', premise, rest), negated));
+
+        return {
+            kind: 'argument',
+            expressions: asts.map(ast => this.parser.format(ast)),
+            valid: !result.satisfiable,
+            counterexample: result.model,
+            stats: result.stats
+        };
+    }
+
+    /**
+     * 解析第 index 个表达式，语法错误带上 expressionIndex
+     */
+    parseAt(expression, index) {
+        try {
+            return this.parser.parse(expression);
+        } catch (error) {
+            if (error instanceof LogicSyntaxError) {
+                error.expressionIndex = index;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 格式化赋值，如 "p=T, q=F"
+     */
+    formatModel(model) {
+        return Object.keys(model)
+            .sort((a, b) => this.parser.compareNames(a, b))
+            .map(name => `${name}=${model[name] ? 'T' : 'F'}`)
+            .join(', ') || '（没有变元）';
+    }
+
+    /**
+     * 渲染求解结果，note 为结果上方的说明（如真值表过大的提示）
+     */
+    render(containerId, result, note = '') {
+        const container = document.getElementById(containerId);
+        if (!container || !result) return;
+
+        container.innerHTML = '';
+
+        if (note) {
+            const noteDiv = document.createElement('div');
+            noteDiv.className = 'practice-feedback';
+            noteDiv.textContent = note;
+            container.appendChild(noteDiv);
+        }
+
+        const items = [];
+        if (result.kind === 'formula') {
+            items.push([result.expression, result.label]);
+            items.push(['成真赋值', result.model ? this.formatModel(result.model) : '无，公式不可满足']);
+            items.push(['成假赋值', result.counterexample ? this.formatModel(result.counterexample) : '无，公式永真']);
+        } else if (result.kind === 'equivalence') {
+            items.push([result.expressions.join('  与  '), result.equivalent ? '等价' : '不等价']);
+            if (!result.equivalent) {
+                items.push(['反例', this.formatModel(result.counterexample)]);
+            }
+        } else {
+            const conclusion = result.expressions[result.expressions.length - 1];
+            const premises = result.expressions.slice(0, -1);
+            items.push([`${premises.join('，')} ∴ ${conclusion}`, result.valid ? '论证有效' : '论证无效']);
+            if (!result.valid) {
+                items.push(['反例（前提全真而结论为假）', this.formatModel(result.counterexample)]);
+            }
+        }
+
+        items.forEach(([label, detail]) => {
+            const summaryDiv = document.createElement('div');
+            summaryDiv.className = 'analysis-summary';
+
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'analysis-label';
+            labelSpan.textContent = label;
+
+            const detailSpan = document.createElement('span');
+            detailSpan.textContent = detail;
+
+            summaryDiv.appendChild(labelSpan);
+            summaryDiv.appendChild(detailSpan);
+            container.appendChild(summaryDiv);
+        });
+
+        const statsDiv = document.createElement('div');
+        statsDiv.className = 'practice-feedback';
+        statsDiv.textContent = `Tseitin 编码: ${result.stats.variables} 个变元，${result.stats.clauses} 个子句；` +
+            `DPLL: ${result.stats.decisions} 次决策，${result.stats.conflicts} 次冲突`;
+        container.appendChild(statsDiv);
+    }
+}
+
+// 导出到全局作用域
+window.SatSolver = SatSolver;
@@ -0,0 +1,78 @@
+/**
+ * 分享链接
+ * 把公式和打开方式编码进 URL 的 hash，如 #f=KHDihpJxKeKIp35y&m=tt，
+ * f 为公式文本（UTF-8）的 base64url 编码，m 为打开方式，省略时只在画布上构建公式
+ */
+
+// 打开方式及其在链接中的简写
+const SHARE_MODES = {
+    canvas: '',
+    exercise: 'tt'
+};
+
+class ShareLink {
+    constructor(parser) {
+        this.parser = parser;
+    }
+
+    /**
+     * 生成 hash，表达式先规范化，语法错误时抛出 LogicSyntaxError
+     */
+    encode(expression, mode = 'canvas') {
+        const formula = this.parser.format(this.parser.parse(expression));
+        const params = new URLSearchParams();
+        params.set('f', this.toBase64Url(formula));
+        if (SHARE_MODES[mode]) {
+            params.set('m', SHARE_MODES[mode]);
+        }
+        return `#${params.toString()}`;
+    }
+
+    /**
+     * 解析 hash，返回 { expression, mode }；hash 中没有公式时返回 null
+     * 编码损坏或公式有语法错误时抛出异常
+     */
+    decode(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        if (!params.has('f')) return null;
+
+        let expression;
+        try {
+            expression = this.fromBase64Url(params.get('f'));
+        } catch (error) {
+            throw new Error('链接中的公式编码已损坏');
+        }
+        this.parser.parse(expression);
+
+        const code = params.get('m') || '';
+        const mode = Object.keys(SHARE_MODES).find(name => SHARE_MODES[name] === code) || 'canvas';
+        return { expression: expression, mode: mode };
+    }
+
+    /**
+     * 生成完整的分享链接
+     */
+    createUrl(expression, mode = 'canvas') {
+        return `${location.origin}${location.pathname}${location.search}${this.encode(expression, mode)}`;
+    }
+
+    /**
+     * 文本转为 base64url（UTF-8，无填充）
+     */
+    toBase64Url(text) {
+        const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * base64url 转回文本，不是合法的 UTF-8 时抛出异常
+     */
+    fromBase64Url(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    }
+}
+
+// 导出到全局作用域
+window.ShareLink = ShareLink;
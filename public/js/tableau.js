@@ -0,0 +1,379 @@
+/**
+ * 语义真值树（语义表）
+ * 以公式（或其否定）为根逐步展开，所有分支都封闭时公式不可满足，开放分支给出满足公式的赋值
+ */
+
+/**
+ * 展开规则，键为公式的主联结词，否定式在联结词前加 "~"
+ * expand(node) 的参数为去掉外层否定后的节点，返回各分支中新增的公式，
+ * 只有一个分支的为不分叉规则（α 规则），多个分支的为分叉规则（β 规则）
+ */
+const TABLEAU_RULES = {
+    '~~': { pattern: '~~A ⇒ A', expand: node => [[node.operand]] },
+    '∧': { pattern: 'A∧B ⇒ A, B', expand: node => [[node.left, node.right]] },
+    '~∧': { pattern: '~(A∧B) ⇒ ~A | ~B', expand: node => [[LogicNodes.negation(node.left)], [LogicNodes.negation(node.right)]] },
+    '∨': { pattern: 'A∨B ⇒ A | B', expand: node => [[node.left], [node.right]] },
+    '~∨': { pattern: '~(A∨B) ⇒ ~A, ~B', expand: node => [[LogicNodes.negation(node.left), LogicNodes.negation(node.right)]] },
+    '→': { pattern: 'A→B ⇒ ~A | B', expand: node => [[LogicNodes.negation(node.left)], [node.right]] },
+    '~→': { pattern: '~(A→B) ⇒ A, ~B', expand: node => [[node.left, LogicNodes.negation(node.right)]] },
+    '↔': {
+        pattern: 'A↔B ⇒ A, B | ~A, ~B',
+        expand: node => [[node.left, node.right], [LogicNodes.negation(node.left), LogicNodes.negation(node.right)]]
+    },
+    '~↔': {
+        pattern: '~(A↔B) ⇒ A, ~B | ~A, B',
+        expand: node => [[node.left, LogicNodes.negation(node.right)], [LogicNodes.negation(node.left), node.right]]
+    },
+    '⊕': {
+        pattern: 'A⊕B ⇒ A, ~B | ~A, B',
+        expand: node => [[node.left, LogicNodes.negation(node.right)], [LogicNodes.negation(node.left), node.right]]
+    },
+    '~⊕': {
+        pattern: '~(A⊕B) ⇒ A, B | ~A, ~B',
+        expand: node => [[node.left, node.right], [LogicNodes.negation(node.left), LogicNodes.negation(node.right)]]
+    },
+    '↑': { pattern: 'A↑B ⇒ ~A | ~B', expand: node => [[LogicNodes.negation(node.left)], [LogicNodes.negation(node.right)]] },
+    '~↑': { pattern: '~(A↑B) ⇒ A, B', expand: node => [[node.left, node.right]] },
+    '↓': { pattern: 'A↓B ⇒ ~A, ~B', expand: node => [[LogicNodes.negation(node.left), LogicNodes.negation(node.right)]] },
+    '~↓': { pattern: '~(A↓B) ⇒ A | B', expand: node => [[node.left], [node.right]] }
+};
+
+// 真值树的结点数上限，超过时停止构造
+const MAX_TABLEAU_NODES = 500;
+
+class Tableau {
+    constructor(parser, rules = TABLEAU_RULES) {
+        this.parser = parser;
+        this.rules = rules;
+        this.root = null;
+        this.expression = '';
+        this.mode = 'satisfiability';
+        this.nodeCount = 0;
+    }
+
+    /**
+     * 以表达式开始一棵新的真值树
+     * mode 为 'satisfiability' 时以公式为根，判断可满足性；为 'validity' 时以公式的否定为根，判断是否永真
+     */
+    start(expression, mode = 'satisfiability') {
+        const ast = this.parser.parse(expression);
+        this.mode = mode;
+        this.nodeCount = 0;
+        this.expression = this.parser.format(ast);
+        this.root = this.createNode(mode === 'validity' ? LogicNodes.negation(ast) : ast, null);
+        this.checkClosure(this.root);
+        return this.root;
+    }
+
+    /**
+     * 创建结点
+     * 每个结点为 { id, formula, text, parent, children, expanded, closed }，closed 只对叶结点有意义
+     */
+    createNode(formula, parent) {
+        if (this.nodeCount >= MAX_TABLEAU_NODES) {
+            throw new Error(`真值树超过 ${MAX_TABLEAU_NODES} 个结点，请换用较小的公式`);
+        }
+        const node = {
+            id: ++this.nodeCount,
+            formula: formula,
+            text: this.parser.format(formula),
+            parent: parent,
+            children: [],
+            expanded: false,
+            closed: false
+        };
+        if (parent) {
+            parent.children.push(node);
+        }
+        return node;
+    }
+
+    /**
+     * 公式适用的展开规则的键，文字（变元、常元及其否定）返回 null
+     */
+    ruleKey(formula) {
+        if (formula.type === 'binary') {
+            return formula.operator;
+        }
+        if (formula.type === 'unary') {
+            const operand = formula.operand;
+            if (operand.type === 'unary') return '~~';
+            if (operand.type === 'binary') return `~${operand.operator}`;
+        }
+        return null;
+    }
+
+    /**
+     * 公式的展开结果，返回 { key, pattern, branches }，文字返回 null
+     */
+    expansion(formula) {
+        const key = this.ruleKey(formula);
+        if (key === null) return null;
+
+        const target = key.startsWith('~') ? formula.operand : formula;
+        const rule = this.rules[key];
+        return { key: key, pattern: rule.pattern, branches: rule.expand(target) };
+    }
+
+    /**
+     * 结点下方所有未封闭的叶结点
+     */
+    openLeavesBelow(node) {
+        if (node.children.length === 0) {
+            return node.closed ? [] : [node];
+        }
+        return node.children.reduce((leaves, child) => leaves.concat(this.openLeavesBelow(child)), []);
+    }
+
+    /**
+     * 所有叶结点
+     */
+    leaves(node = this.root) {
+        if (node.children.length === 0) return [node];
+        return node.children.reduce((leaves, child) => leaves.concat(this.leaves(child)), []);
+    }
+
+    /**
+     * 从根到结点的路径（即结点所在分支上的公式）
+     */
+    path(node) {
+        const nodes = [];
+        for (let current = node; current; current = current.parent) {
+            nodes.unshift(current);
+        }
+        return nodes;
+    }
+
+    /**
+     * 检查叶结点所在的分支是否封闭：含有 ⊥、~⊤，或同时含有某个公式及其否定
+     */
+    checkClosure(leaf) {
+        const texts = new Set(this.path(leaf).map(node => node.text));
+        const contradiction = this.parser.format(LogicNodes.constant(false));
+        const negatedTautology = this.parser.format(LogicNodes.negation(LogicNodes.constant(true)));
+
+        leaf.closed = texts.has(contradiction) || texts.has(negatedTautology) ||
+            this.path(leaf).some(node => texts.has(this.parser.format(LogicNodes.negation(node.formula))));
+        return leaf.closed;
+    }
+
+    /**
+     * 结点能否展开：不是文字、尚未展开，且下方还有未封闭的分支
+     */
+    canExpand(node) {
+        return !node.expanded && this.ruleKey(node.formula) !== null && this.openLeavesBelow(node).length > 0;
+    }
+
+    /**
+     * 展开结点：在其下方每个未封闭的分支末尾接上展开结果，分叉规则产生多个分支
+     * branches 省略时按规则展开
+     */
+    expand(node, branches = this.expansion(node.formula).branches) {
+        this.openLeavesBelow(node).forEach(leaf => {
+            branches.forEach(formulas => {
+                let current = leaf;
+                formulas.forEach(formula => {
+                    current = this.createNode(formula, current);
+                });
+                this.checkClosure(current);
+            });
+        });
+        node.expanded = true;
+    }
+
+    /**
+     * 所有可以展开的结点，按从根到叶的顺序
+     */
+    expandableNodes(node = this.root) {
+        const nodes = this.canExpand(node) ? [node] : [];
+        return node.children.reduce((all, child) => all.concat(this.expandableNodes(child)), nodes);
+    }
+
+    /**
+     * 是否已构造完成（没有可以展开的结点）
+     */
+    isFinished() {
+        return this.expandableNodes().length === 0;
+    }
+
+    /**
+     * 自动构造整棵真值树，优先展开不分叉的公式
+     */
+    build() {
+        let nodes = this.expandableNodes();
+        while (nodes.length > 0) {
+            const next = nodes.find(node => this.expansion(node.formula).branches.length === 1) || nodes[0];
+            this.expand(next);
+            nodes = this.expandableNodes();
+        }
+        return this.result();
+    }
+
+    /**
+     * 由开放分支上的文字读出赋值，返回 { 变元名: 真值 }，分支上未出现的变元可任意取值
+     */
+    model(leaf) {
+        const assignment = {};
+        this.path(leaf).forEach(node => {
+            const formula = node.formula;
+            if (formula.type === 'variable') {
+                assignment[formula.name] = true;
+            } else if (formula.type === 'unary' && formula.operand.type === 'variable') {
+                assignment[formula.operand.name] = false;
+            }
+        });
+        return assignment;
+    }
+
+    /**
+     * 构造结果
+     * 返回 { finished, closed, satisfiable, valid, models }，
+     * satisfiable 与 valid 在构造完成前为 null（分别只在对应模式下给出），
+     * models 为各开放分支给出的赋值，以公式的否定为根时即为反例
+     */
+    result() {
+        const finished = this.isFinished();
+        const leaves = this.leaves();
+        const closed = leaves.every(leaf => leaf.closed);
+        const openLeaves = leaves.filter(leaf => !leaf.closed);
+
+        let satisfiable = null;
+        let valid = null;
+        if (finished) {
+            // 以公式的否定为根时，全部封闭说明否定不可满足，即公式永真
+            satisfiable = this.mode === 'satisfiability' ? !closed : null;
+            valid = this.mode === 'validity' ? closed : null;
+        }
+
+        return {
+            finished: finished,
+            closed: closed,
+            satisfiable: satisfiable,
+            valid: valid,
+            models: finished ? openLeaves.map(leaf => ({ leaf: leaf, assignment: this.model(leaf) })) : []
+        };
+    }
+
+    /**
+     * 格式化赋值，如 "p=T, q=F"
+     */
+    formatModel(assignment) {
+        const names = Object.keys(assignment).sort((a, b) => this.parser.compareNames(a, b));
+        return names.length > 0 ? names.map(name => `${name}=${assignment[name] ? 'T' : 'F'}`).join(', ') : '任意赋值';
+    }
+
+    /**
+     * 用一句话描述构造结果
+     */
+    describe(result) {
+        if (!result.finished) {
+            return `尚有 ${this.expandableNodes().length} 个公式可以展开`;
+        }
+        const example = result.models.length > 0 ? this.formatModel(result.models[0].assignment) : '';
+        if (this.mode === 'validity') {
+            return result.valid
+                ? `所有分支封闭，${this.expression} 是永真式`
+                : `${this.expression} 不是永真式，共 ${result.models.length} 个开放分支，反例如 ${example}`;
+        }
+        return result.satisfiable
+            ? `${this.expression} 可满足，共 ${result.models.length} 个开放分支，如 ${example}`
+            : `所有分支封闭，${this.expression} 不可满足`;
+    }
+
+    /**
+     * 检查学生给出的展开结果
+     * answer 每行一个分支，同一分支中的公式用逗号分隔
+     * 返回 { correct, message }，正确时按学生的写法展开结点
+     */
+    checkExpansion(node, answer) {
+        const expected = this.expansion(node.formula);
+        if (!expected) {
+            return { correct: false, message: `${node.text} 是文字，不需要展开` };
+        }
+
+        let branches;
+        try {
+            branches = answer.split(/[\n;；]/)
+                .map(line => line.trim())
+                .filter(line => line !== '')
+                .map(line => line.split(/[,，]/)
+                    .map(text => text.trim())
+                    .filter(text => text !== '')
+                    .map(text => this.parser.parse(text)));
+        } catch (error) {
+            return { correct: false, message: `公式有误: ${error.message}` };
+        }
+
+        // 分支之间、同一分支内的公式都不计顺序
+        const signature = list => list
+            .map(formulas => formulas.map(formula => this.parser.format(formula)).sort().join(', '))
+            .sort()
+            .join(' | ');
+
+        if (branches.length !== expected.branches.length) {
+            return {
+                correct: false,
+                message: expected.branches.length === 1
+                    ? `${node.text} 不分叉，应在同一分支中写出展开的公式`
+                    : `${node.text} 应分为 ${expected.branches.length} 个分支`
+            };
+        }
+        if (signature(branches) !== signature(expected.branches)) {
+            return { correct: false, message: `展开结果有误，规则为 ${expected.pattern}` };
+        }
+
+        this.expand(node, branches);
+        return { correct: true, message: `已展开 ${node.text}` };
+    }
+
+    /**
+     * 渲染展开结点的答题表单
+     * onSubmit 在点击"展开"时以输入的文本调用，返回 checkExpansion 的结果
+     */
+    renderExpansionForm(containerId, node, onSubmit) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const summaryDiv = document.createElement('div');
+        summaryDiv.className = 'analysis-summary';
+
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'analysis-label';
+        labelSpan.textContent = node.text;
+
+        const detailSpan = document.createElement('span');
+        detailSpan.textContent = '每行写一个分支，同一分支中的公式用逗号分隔';
+
+        summaryDiv.appendChild(labelSpan);
+        summaryDiv.appendChild(detailSpan);
+        container.appendChild(summaryDiv);
+
+        const answerInput = document.createElement('textarea');
+        answerInput.className = 'formula-field';
+        answerInput.rows = 3;
+        answerInput.placeholder = '如: ~p\nq';
+        container.appendChild(answerInput);
+
+        const feedback = document.createElement('div');
+        feedback.className = 'practice-feedback';
+
+        const submitBtn = document.createElement('button');
+        submitBtn.className = 'btn btn-primary btn-inline';
+        submitBtn.textContent = '展开';
+        submitBtn.addEventListener('click', () => {
+            const outcome = onSubmit(answerInput.value);
+            feedback.textContent = outcome.message;
+            feedback.className = `practice-feedback ${outcome.correct ? 'correct' : 'incorrect'}`;
+        });
+
+        container.appendChild(submitBtn);
+        container.appendChild(feedback);
+        answerInput.focus();
+    }
+}
+
+// 导出到全局作用域
+window.TABLEAU_RULES = TABLEAU_RULES;
+window.Tableau = Tableau;
@@ -2,6 +2,23 @@
  * 真值表生成器和管理器
  */
 
+const CLASSIFICATION_LABELS = {
+    tautology: '永真式（重言式）',
+    contradiction: '矛盾式（永假式）',
+    contingency: '可满足式（非永真）'
+};
+
+// 真值表的变元数上限，超过时行数过多，改用 SAT 求解
+const MAX_TRUTH_TABLE_VARIABLES = 12;
+
+class TruthTableSizeError extends Error {
+    constructor(variableCount) {
+        super(`变元共 ${variableCount} 个，真值表有 2^${variableCount} 行，超过上限（${MAX_TRUTH_TABLE_VARIABLES} 个变元）`);
+        this.name = 'TruthTableSizeError';
+        this.variableCount = variableCount;
+    }
+}
+
 class TruthTableGenerator {
     constructor(logicEvaluator) {
         this.evaluator = logicEvaluator;
@@ -11,64 +28,213 @@ class TruthTableGenerator {
 
     /**
      * 生成真值表数据
+     * columnOrder 为子公式文本的排列顺序（如画布上元素的构建顺序），未列出的子公式按后序排在前面
      */
-    generateTable(expression) {
+    generateTable(expression, columnOrder = []) {
+        this.currentTable = this.computeTable(expression, columnOrder);
+        return this.currentTable;
+    }
+
+    /**
+     * 计算真值表数据，不改变当前真值表
+     * 除变元外，每个复合子公式各占一列，最后一列为整个表达式
+     */
+    computeTable(expression, columnOrder = []) {
         if (!expression || expression.trim() === '') {
             throw new Error('表达式不能为空');
         }
 
+        // 解析表达式，语法错误会带着出错位置抛出
+        const ast = this.evaluator.parse(expression);
+
         // 提取变元
-        const variables = this.getVariables(expression);
-        if (variables.length === 0) {
-            throw new Error('表达式中没有找到有效变元');
-        }
+        const variables = this.getVariables(ast);
+
+        // 子公式列，整个表达式始终在最后一列
+        const columns = this.getColumns(ast, columnOrder);
 
         // 生成所有可能的真值组合
         const combinations = this.generateCombinations(variables.length);
         
-        // 计算每行的结果
+        // 计算每行每列的结果
         const rows = combinations.map((combination, index) => {
             const variableValues = {};
             variables.forEach((variable, i) => {
                 variableValues[variable] = combination[i];
             });
 
-            const result = this.evaluator.evaluate(expression, variableValues);
+            const columnResults = columns.map(column => this.evaluator.evaluate(column.node, variableValues));
             
             return {
                 index: index,
                 variables: combination,
-                result: result,
-                userAnswer: null
+                columns: columnResults,
+                result: columnResults[columnResults.length - 1]
             };
         });
 
-        this.currentTable = {
+        return {
             expression: expression,
+            ast: ast,
             variables: variables,
+            columns: columns,
             rows: rows
         };
+    }
 
-        return this.currentTable;
+    /**
+     * 确定真值表的子公式列
+     * 表达式本身是变元或常元时只有一列
+     */
+    getColumns(ast, columnOrder) {
+        const parser = this.evaluator.parser;
+        const subformulas = parser.getSubformulas(ast);
+        if (subformulas.length === 0) {
+            return [{ text: parser.format(ast), node: ast }];
+        }
+
+        const root = subformulas.pop();
+        const position = column => columnOrder.indexOf(column.text);
+        // 稳定排序：未在 columnOrder 中出现的子公式保持后序并排在前面
+        subformulas.sort((a, b) => position(a) - position(b));
+        subformulas.push(root);
+        return subformulas;
     }
 
     /**
-     * 从表达式中提取变元
+     * 判断公式类型：永真式、矛盾式或可满足式（非永真）
+     * witnesses 为佐证该结论的行号：永真式和矛盾式为全部行，可满足式为一个成真行和一个成假行
      */
-    getVariables(expression) {
-        const variables = new Set();
-        for (let char of expression) {
-            if (/^[a-zA-Z]$/.test(char)) {
-                variables.add(char);
-            }
+    classify(table = this.currentTable) {
+        if (!table) return null;
+
+        const satisfying = table.rows.filter(row => row.result).map(row => row.index);
+        const falsifying = table.rows.filter(row => !row.result).map(row => row.index);
+
+        let type;
+        let witnesses;
+        if (falsifying.length === 0) {
+            type = 'tautology';
+            witnesses = satisfying;
+        } else if (satisfying.length === 0) {
+            type = 'contradiction';
+            witnesses = falsifying;
+        } else {
+            type = 'contingency';
+            witnesses = [satisfying[0], falsifying[0]];
         }
-        return Array.from(variables).sort();
+
+        return {
+            type: type,
+            label: CLASSIFICATION_LABELS[type],
+            satisfying: satisfying,
+            falsifying: falsifying,
+            witnesses: witnesses
+        };
+    }
+
+    /**
+     * 判断表达式的类型，不改变当前真值表
+     */
+    classifyExpression(expression) {
+        return this.classify(this.computeTable(expression));
+    }
+
+    /**
+     * 计算多个表达式的联合真值表，变元取各表达式变元的并集
+     * 每行的 results 依次为各表达式的值
+     * 某个表达式有语法错误时，抛出的 LogicSyntaxError 带有 expressionIndex 标明是第几个表达式
+     */
+    computeJointTable(expressions) {
+        const asts = expressions.map((expression, i) => {
+            try {
+                return this.evaluator.parse(expression);
+            } catch (error) {
+                if (error instanceof LogicSyntaxError) {
+                    error.expressionIndex = i;
+                }
+                throw error;
+            }
+        });
+        const variables = this.getVariables(asts);
+        const combinations = this.generateCombinations(variables.length);
+
+        const rows = combinations.map((combination, index) => {
+            const variableValues = {};
+            variables.forEach((variable, i) => {
+                variableValues[variable] = combination[i];
+            });
+
+            return {
+                index: index,
+                variables: combination,
+                results: asts.map(ast => this.evaluator.evaluate(ast, variableValues))
+            };
+        });
+
+        return {
+            expressions: asts.map(ast => this.evaluator.parser.format(ast)),
+            asts: asts,
+            variables: variables,
+            rows: rows
+        };
+    }
+
+    /**
+     * 判断两个表达式是否逻辑等价
+     * counterexamples 为两式取值不同的行号
+     */
+    checkEquivalence(expression1, expression2) {
+        const table = this.computeJointTable([expression1, expression2]);
+        const counterexamples = table.rows
+            .filter(row => row.results[0] !== row.results[1])
+            .map(row => row.index);
+
+        return {
+            equivalent: counterexamples.length === 0,
+            table: table,
+            counterexamples: counterexamples
+        };
+    }
+
+    /**
+     * 判断论证（前提 ⊨ 结论）是否有效
+     * critical 为所有前提均为真的关键行，counterexamples 为其中结论为假的行
+     */
+    checkArgument(premises, conclusion) {
+        const table = this.computeJointTable(premises.concat([conclusion]));
+        const premiseCount = premises.length;
+
+        const critical = table.rows
+            .filter(row => row.results.slice(0, premiseCount).every(result => result))
+            .map(row => row.index);
+        const counterexamples = critical.filter(index => !table.rows[index].results[premiseCount]);
+
+        return {
+            valid: counterexamples.length === 0,
+            table: table,
+            premiseCount: premiseCount,
+            critical: critical,
+            counterexamples: counterexamples
+        };
+    }
+
+    /**
+     * 从表达式（或语法树）中提取变元
+     */
+    getVariables(expression) {
+        return this.evaluator.getVariables(expression);
     }
 
     /**
      * 生成所有可能的真值组合
+     * 变元超过 MAX_TRUTH_TABLE_VARIABLES 个时抛出 TruthTableSizeError
      */
     generateCombinations(variableCount) {
+        if (variableCount > MAX_TRUTH_TABLE_VARIABLES) {
+            throw new TruthTableSizeError(variableCount);
+        }
+
         const combinations = [];
         const totalCombinations = Math.pow(2, variableCount);
 
@@ -109,15 +275,12 @@ class TruthTableGenerator {
             headerRow.appendChild(th);
         });
 
-        // 表达式列
-        const expressionTh = document.createElement('th');
-        expressionTh.textContent = this.currentTable.expression;
-        headerRow.appendChild(expressionTh);
-
-        // 用户答案列
-        const userAnswerTh = document.createElement('th');
-        userAnswerTh.textContent = '你的答案';
-        headerRow.appendChild(userAnswerTh);
+        // 子公式列，每列都由学生填写
+        this.currentTable.columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column.text;
+            headerRow.appendChild(th);
+        });
 
         thead.appendChild(headerRow);
         table.appendChild(thead);
@@ -134,17 +297,20 @@ class TruthTableGenerator {
                 tr.appendChild(td);
             });
 
-            // 正确答案（隐藏）
-            const resultTd = document.createElement('td');
-            resultTd.textContent = row.result ? 'T' : 'F';
-            resultTd.style.display = 'none';
-            tr.appendChild(resultTd);
+            // 每个子公式的答案输入和正确答案（检查后显示）
+            row.columns.forEach((value, columnIndex) => {
+                const answerTd = document.createElement('td');
+                answerTd.className = 'answer-cell';
+                answerTd.dataset.column = columnIndex;
+                answerTd.appendChild(this.createRadioGroup(index, columnIndex));
+
+                const correctSpan = document.createElement('span');
+                correctSpan.className = 'correct-answer';
+                correctSpan.textContent = value ? 'T' : 'F';
+                answerTd.appendChild(correctSpan);
 
-            // 用户答案输入
-            const userAnswerTd = document.createElement('td');
-            const radioGroup = this.createRadioGroup(index);
-            userAnswerTd.appendChild(radioGroup);
-            tr.appendChild(userAnswerTd);
+                tr.appendChild(answerTd);
+            });
 
             tbody.appendChild(tr);
         });
@@ -153,10 +319,161 @@ class TruthTableGenerator {
         container.appendChild(table);
     }
 
+    /**
+     * 渲染联合真值表（只读）
+     * rowClass 为可选函数，根据行数据返回该行的样式类名
+     * labels 为各表达式列的表头，默认为表达式本身
+     */
+    createJointTable(table, rowClass = () => '', labels = table.expressions) {
+        const tableElement = document.createElement('table');
+        tableElement.className = 'truth-table';
+
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        table.variables.concat(labels).forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+        thead.appendChild(headerRow);
+        tableElement.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        table.rows.forEach(row => {
+            const tr = document.createElement('tr');
+            const className = rowClass(row);
+            if (className) {
+                tr.className = className;
+            }
+
+            row.variables.concat(row.results).forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value ? 'T' : 'F';
+                tr.appendChild(td);
+            });
+
+            tbody.appendChild(tr);
+        });
+        tableElement.appendChild(tbody);
+
+        return tableElement;
+    }
+
+    /**
+     * 格式化某一行的变元赋值，如 "p=T, q=F"
+     */
+    formatAssignment(table, row) {
+        return table.variables
+            .map((variable, i) => `${variable}=${row.variables[i] ? 'T' : 'F'}`)
+            .join(', ');
+    }
+
+    /**
+     * 渲染等价判断结果
+     */
+    renderEquivalence(containerId, result) {
+        const container = document.getElementById(containerId);
+        if (!container || !result) return;
+
+        container.innerHTML = '';
+
+        const [expression1, expression2] = result.table.expressions;
+        const summaryDiv = document.createElement('div');
+        summaryDiv.className = 'analysis-summary';
+
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'analysis-label';
+        labelSpan.textContent = result.equivalent
+            ? `${expression1} ⇔ ${expression2}`
+            : `${expression1} 与 ${expression2} 不等价`;
+
+        const detailSpan = document.createElement('span');
+        detailSpan.textContent = result.equivalent
+            ? '两式在所有赋值下取值相同，逻辑等价'
+            : `共 ${result.counterexamples.length} 个反例（两式取值不同的行已高亮）`;
+
+        summaryDiv.appendChild(labelSpan);
+        summaryDiv.appendChild(detailSpan);
+        container.appendChild(summaryDiv);
+
+        const counterexamples = new Set(result.counterexamples);
+        container.appendChild(this.createJointTable(
+            result.table,
+            row => counterexamples.has(row.index) ? 'counterexample' : ''
+        ));
+
+        if (!result.equivalent) {
+            const list = document.createElement('ul');
+            list.className = 'counterexample-list';
+            result.counterexamples.forEach(index => {
+                const row = result.table.rows[index];
+                const item = document.createElement('li');
+                item.textContent = `第 ${index + 1} 行: ${this.formatAssignment(result.table, row)}，` +
+                    `${expression1} 为 ${row.results[0] ? 'T' : 'F'}，${expression2} 为 ${row.results[1] ? 'T' : 'F'}`;
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        }
+    }
+
+    /**
+     * 渲染论证有效性判断结果
+     */
+    renderArgument(containerId, result) {
+        const container = document.getElementById(containerId);
+        if (!container || !result) return;
+
+        container.innerHTML = '';
+
+        const premises = result.table.expressions.slice(0, result.premiseCount);
+        const conclusion = result.table.expressions[result.premiseCount];
+
+        const summaryDiv = document.createElement('div');
+        summaryDiv.className = 'analysis-summary';
+
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'analysis-label';
+        labelSpan.textContent = `${premises.join(', ')} ${result.valid ? '⊨' : '⊭'} ${conclusion}`;
+
+        const detailSpan = document.createElement('span');
+        detailSpan.textContent = result.valid
+            ? `论证有效：${result.critical.length} 个关键行（前提均为真）中结论均为真`
+            : `论证无效：${result.critical.length} 个关键行中有 ${result.counterexamples.length} 个反例`;
+
+        summaryDiv.appendChild(labelSpan);
+        summaryDiv.appendChild(detailSpan);
+        container.appendChild(summaryDiv);
+
+        const critical = new Set(result.critical);
+        const counterexamples = new Set(result.counterexamples);
+        container.appendChild(this.createJointTable(
+            result.table,
+            row => {
+                if (counterexamples.has(row.index)) return 'counterexample';
+                if (critical.has(row.index)) return 'critical';
+                return '';
+            },
+            premises.concat([`∴ ${conclusion}`])
+        ));
+
+        if (!result.valid) {
+            const list = document.createElement('ul');
+            list.className = 'counterexample-list';
+            result.counterexamples.forEach(index => {
+                const item = document.createElement('li');
+                item.textContent = `第 ${index + 1} 行: ${this.formatAssignment(result.table, result.table.rows[index])}，` +
+                    '前提均为真而结论为假';
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        }
+    }
+
     /**
      * 创建单选按钮组
      */
-    createRadioGroup(rowIndex) {
+    createRadioGroup(rowIndex, columnIndex) {
+        const name = `answer_${rowIndex}_${columnIndex}`;
         const group = document.createElement('div');
         group.className = 'truth-radio-group';
 
@@ -166,12 +483,12 @@ class TruthTableGenerator {
 
         const trueRadio = document.createElement('input');
         trueRadio.type = 'radio';
-        trueRadio.name = `answer_${rowIndex}`;
+        trueRadio.name = name;
         trueRadio.value = 'true';
-        trueRadio.id = `answer_${rowIndex}_true`;
+        trueRadio.id = `${name}_true`;
 
         const trueLabel = document.createElement('label');
-        trueLabel.htmlFor = `answer_${rowIndex}_true`;
+        trueLabel.htmlFor = `${name}_true`;
         trueLabel.textContent = 'T';
 
         trueOption.appendChild(trueRadio);
@@ -183,12 +500,12 @@ class TruthTableGenerator {
 
         const falseRadio = document.createElement('input');
         falseRadio.type = 'radio';
-        falseRadio.name = `answer_${rowIndex}`;
+        falseRadio.name = name;
         falseRadio.value = 'false';
-        falseRadio.id = `answer_${rowIndex}_false`;
+        falseRadio.id = `${name}_false`;
 
         const falseLabel = document.createElement('label');
-        falseLabel.htmlFor = `answer_${rowIndex}_false`;
+        falseLabel.htmlFor = `${name}_false`;
         falseLabel.textContent = 'F';
 
         falseOption.appendChild(falseRadio);
@@ -202,6 +519,7 @@ class TruthTableGenerator {
 
     /**
      * 收集用户答案
+     * 返回 answers[行号][列号]
      */
     collectUserAnswers() {
         const answers = {};
@@ -209,10 +527,13 @@ class TruthTableGenerator {
         if (!this.currentTable) return answers;
 
         this.currentTable.rows.forEach((row, index) => {
-            const selectedRadio = document.querySelector(`input[name="answer_${index}"]:checked`);
-            if (selectedRadio) {
-                answers[index] = selectedRadio.value === 'true';
-            }
+            answers[index] = {};
+            row.columns.forEach((value, columnIndex) => {
+                const selectedRadio = document.querySelector(`input[name="answer_${index}_${columnIndex}"]:checked`);
+                if (selectedRadio) {
+                    answers[index][columnIndex] = selectedRadio.value === 'true';
+                }
+            });
         });
 
         this.userAnswers = answers;
@@ -221,6 +542,7 @@ class TruthTableGenerator {
 
     /**
      * 检查答案
+     * 每个单元格单独评分，columns 为各子公式列的得分
      */
     checkAnswers() {
         this.collectUserAnswers();
@@ -229,41 +551,59 @@ class TruthTableGenerator {
             return { correct: 0, total: 0, isComplete: false };
         }
 
-        let correct = 0;
-        let total = this.currentTable.rows.length;
-        let answered = 0;
+        const columns = this.currentTable.columns.map(column => ({
+            text: column.text,
+            correct: 0,
+            answered: 0,
+            total: this.currentTable.rows.length
+        }));
 
         const results = this.currentTable.rows.map((row, index) => {
-            const userAnswer = this.userAnswers[index];
-            const correctAnswer = row.result;
-            
-            if (userAnswer !== undefined) {
-                answered++;
-                const isCorrect = userAnswer === correctAnswer;
-                if (isCorrect) correct++;
+            const cells = row.columns.map((correctAnswer, columnIndex) => {
+                const userAnswer = this.userAnswers[index][columnIndex];
                 
+                if (userAnswer === undefined) {
+                    return {
+                        column: columnIndex,
+                        userAnswer: null,
+                        correctAnswer: correctAnswer,
+                        isCorrect: false
+                    };
+                }
+
+                const isCorrect = userAnswer === correctAnswer;
+                columns[columnIndex].answered++;
+                if (isCorrect) columns[columnIndex].correct++;
+
                 return {
-                    index: index,
+                    column: columnIndex,
                     userAnswer: userAnswer,
                     correctAnswer: correctAnswer,
                     isCorrect: isCorrect
                 };
-            }
-            
+            });
+
             return {
                 index: index,
-                userAnswer: null,
-                correctAnswer: correctAnswer,
-                isCorrect: false
+                cells: cells
             };
         });
 
+        columns.forEach(column => {
+            column.score = column.total > 0 ? (column.correct / column.total * 100).toFixed(1) : 0;
+        });
+
+        const correct = columns.reduce((sum, column) => sum + column.correct, 0);
+        const answered = columns.reduce((sum, column) => sum + column.answered, 0);
+        const total = columns.reduce((sum, column) => sum + column.total, 0);
+
         return {
             correct: correct,
             total: total,
             answered: answered,
             isComplete: answered === total,
             results: results,
+            columns: columns,
             score: total > 0 ? (correct / total * 100).toFixed(1) : 0
         };
     }
@@ -272,26 +612,20 @@ class TruthTableGenerator {
      * 显示正确答案
      */
     revealAnswers() {
-        if (!this.currentTable) return;
+        const table = document.querySelector('.truth-table');
+        if (!this.currentTable || !table) return;
 
-        const table = document.querySelector('.truth-table tbody');
-        if (!table) return;
+        table.classList.add('revealed');
+    }
 
-        // 显示正确答案列
-        const resultCells = table.querySelectorAll('tr td:nth-last-child(2)');
-        resultCells.forEach(cell => {
-            cell.style.display = 'table-cell';
-        });
+    /**
+     * 隐藏正确答案
+     */
+    hideAnswers() {
+        const table = document.querySelector('.truth-table');
+        if (!table) return;
 
-        // 更新表头
-        const thead = document.querySelector('.truth-table thead tr');
-        if (thead) {
-            const existingResultTh = thead.querySelector('th:nth-last-child(2)');
-            if (existingResultTh) {
-                existingResultTh.style.display = 'table-cell';
-                existingResultTh.textContent = '正确答案';
-            }
-        }
+        table.classList.remove('revealed');
     }
 
     /**
@@ -303,23 +637,107 @@ class TruthTableGenerator {
         const table = document.querySelector('.truth-table tbody');
         if (!table) return;
 
+        this.clearHighlights();
         checkResult.results.forEach((result, index) => {
             const row = table.children[index];
             if (!row) return;
 
-            // 移除之前的类
-            row.classList.remove('correct', 'incorrect', 'unanswered');
+            result.cells.forEach(cell => {
+                const td = row.querySelector(`td.answer-cell[data-column="${cell.column}"]`);
+                if (!td) return;
+
+                if (cell.userAnswer === null) {
+                    td.classList.add('unanswered');
+                } else if (cell.isCorrect) {
+                    td.classList.add('correct');
+                } else {
+                    td.classList.add('incorrect');
+                }
+            });
+        });
+    }
 
-            if (result.userAnswer === null) {
-                row.classList.add('unanswered');
-            } else if (result.isCorrect) {
-                row.classList.add('correct');
-            } else {
-                row.classList.add('incorrect');
-            }
+    /**
+     * 清除答案高亮
+     */
+    clearHighlights() {
+        document.querySelectorAll('.truth-table td.answer-cell').forEach(cell => {
+            cell.classList.remove('correct', 'incorrect', 'unanswered');
+        });
+    }
+
+    /**
+     * 高亮显示佐证公式类型的行
+     */
+    highlightWitnesses(classification) {
+        if (!classification) return;
+
+        const table = document.querySelector('.truth-table tbody');
+        if (!table) return;
+
+        this.clearWitnesses();
+        classification.witnesses.forEach(index => {
+            const row = table.children[index];
+            if (!row) return;
+
+            const result = this.currentTable.rows[index].result;
+            row.classList.add(result ? 'witness-true' : 'witness-false');
+        });
+    }
+
+    /**
+     * 清除佐证行的高亮
+     */
+    clearWitnesses() {
+        document.querySelectorAll('.truth-table tbody tr').forEach(row => {
+            row.classList.remove('witness-true', 'witness-false');
         });
     }
 
+    /**
+     * 显示公式类型
+     */
+    showClassification(classification) {
+        if (!classification) return;
+
+        const container = document.getElementById('truth-table-container');
+        if (!container) return;
+
+        // 移除之前的类型信息
+        const existing = container.querySelector('.classification-summary');
+        if (existing) {
+            existing.remove();
+        }
+
+        const rowNumbers = indices => indices.map(index => index + 1).join(', ');
+        let detail;
+        switch (classification.type) {
+            case 'tautology':
+                detail = '所有赋值下公式均为真';
+                break;
+            case 'contradiction':
+                detail = '所有赋值下公式均为假';
+                break;
+            default:
+                detail = `第 ${rowNumbers(classification.satisfying)} 行为真，` +
+                    `第 ${rowNumbers(classification.falsifying)} 行为假`;
+        }
+
+        const summaryDiv = document.createElement('div');
+        summaryDiv.className = 'analysis-summary classification-summary';
+
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'analysis-label';
+        labelSpan.textContent = classification.label;
+
+        const detailSpan = document.createElement('span');
+        detailSpan.textContent = detail;
+
+        summaryDiv.appendChild(labelSpan);
+        summaryDiv.appendChild(detailSpan);
+        container.insertBefore(summaryDiv, container.firstChild);
+    }
+
     /**
      * 显示答案统计
      */
@@ -361,6 +779,26 @@ class TruthTableGenerator {
             </div>
         `;
 
+        // 各子公式列的得分
+        if (checkResult.columns && checkResult.columns.length > 1) {
+            const columnsDiv = document.createElement('div');
+            columnsDiv.className = 'column-statistics';
+            checkResult.columns.forEach(column => {
+                const item = document.createElement('div');
+                item.className = 'stat-item';
+
+                const label = document.createElement('span');
+                label.textContent = `${column.text}:`;
+                const value = document.createElement('span');
+                value.textContent = `${column.correct}/${column.total}`;
+
+                item.appendChild(label);
+                item.appendChild(value);
+                columnsDiv.appendChild(item);
+            });
+            statsDiv.insertBefore(columnsDiv, statsDiv.firstChild);
+        }
+
         container.appendChild(statsDiv);
     }
 
@@ -371,16 +809,17 @@ class TruthTableGenerator {
         this.currentTable = null;
         this.userAnswers = {};
         
-        // 移除统计信息
+        // 移除统计信息和类型信息
         const container = document.getElementById('truth-table-container');
         if (container) {
-            const existingStats = container.querySelector('.answer-statistics');
-            if (existingStats) {
-                existingStats.remove();
-            }
+            container.querySelectorAll('.answer-statistics, .classification-summary').forEach(element => {
+                element.remove();
+            });
         }
     }
 }
 
 // 导出到全局作用域
 window.TruthTableGenerator = TruthTableGenerator;
+window.CLASSIFICATION_LABELS = CLASSIFICATION_LABELS;
+window.TruthTableSizeError = TruthTableSizeError;
@@ -2,6 +2,39 @@
  * UI控制器 - 处理用户界面交互和SVG操作
  */
 
+/**
+ * 门电路视图中各运算符对应的逻辑门
+ *   body           门的外形：'and'、'or'、'xor' 或 'not'
+ *   inverted       输出端是否有取反圆圈
+ *   invertedInputs 各输入端是否有取反圆圈（如蕴含画作第一个输入取反的或门）
+ * 未登记的运算符画成标有运算符的方框
+ */
+const GATE_SHAPES = {
+    '∧': { label: 'AND', body: 'and', inverted: false },
+    '∨': { label: 'OR', body: 'or', inverted: false },
+    '⊕': { label: 'XOR', body: 'xor', inverted: false },
+    '↑': { label: 'NAND', body: 'and', inverted: true },
+    '↓': { label: 'NOR', body: 'or', inverted: true },
+    '↔': { label: 'XNOR', body: 'xor', inverted: true },
+    '→': { label: 'IMPLY', body: 'or', inverted: false, invertedInputs: [true, false] },
+    '~': { label: 'NOT', body: 'not', inverted: true }
+};
+
+// 门的外形轮廓，高 40，左上角为原点；extra 为不填充的附加线（异或门的第二条输入弧）
+const GATE_BODIES = {
+    and: { path: 'M0,0 H25 A20,20 0 0 1 25,40 H0 Z', width: 45 },
+    or: { path: 'M0,0 Q15,20 0,40 Q30,40 45,20 Q30,0 0,0 Z', width: 45 },
+    xor: { path: 'M6,0 Q21,20 6,40 Q36,40 51,20 Q36,0 6,0 Z', extra: 'M0,0 Q15,20 0,40', width: 51 },
+    not: { path: 'M0,4 L32,20 L0,36 Z', width: 32 },
+    box: { path: 'M0,0 H40 V40 H0 Z', width: 40 }
+};
+
+const GATE_HEIGHT = 40;
+const BUBBLE_RADIUS = 4;
+// 画布网格点的间距与偏移，导线的竖直段落在网格点上
+const GRID_SIZE = 20;
+const GRID_OFFSET = 10;
+
 class UIController {
     constructor(logicCore) {
         this.logicCore = logicCore;
@@ -10,6 +43,17 @@ class UIController {
         this.dragElement = null;
         this.dragOffset = { x: 0, y: 0 };
         this.tooltip = null;
+        // 真值树视图，显示时画布上画的是真值树而不是公式元素
+        this.tableauView = null;
+        // 实时求值的赋值（变元名 → 真值），为 null 时不着色
+        this.assignment = null;
+        // 门电路视图，开启时运算元素画成逻辑门，变元画成输入开关，最终结果接输出灯
+        this.circuitView = false;
+        // 每次重绘后调用，用于自动保存画布
+        this.onRender = null;
+        // 开始和结束拖动元素时以该元素调用，用于记录操作历史
+        this.onDragStart = null;
+        this.onDragEnd = null;
     }
 
     /**
@@ -18,9 +62,28 @@ class UIController {
     init() {
         this.svg = document.getElementById('main-canvas');
         this.tooltip = document.getElementById('tooltip');
+        this.renderOperatorButtons();
         this.setupEventListeners();
     }
 
+    /**
+     * 根据联结词注册表生成运算符按钮
+     */
+    renderOperatorButtons() {
+        const grid = document.getElementById('operators-grid');
+        if (!grid) return;
+
+        grid.innerHTML = '';
+        Object.entries(this.logicCore.connectives).forEach(([symbol, connective]) => {
+            const btn = document.createElement('button');
+            btn.className = 'operator-btn';
+            btn.dataset.operator = symbol;
+            btn.title = connective.title;
+            btn.textContent = symbol;
+            grid.appendChild(btn);
+        });
+    }
+
     /**
      * 设置事件监听器
      */
@@ -46,8 +109,18 @@ class UIController {
      */
     render() {
         this.clearSVG();
-        this.renderConnections();
-        this.renderElements();
+        if (this.tableauView) {
+            this.renderTableau();
+        } else if (this.circuitView) {
+            this.renderCircuit();
+        } else {
+            this.renderConnections();
+            this.renderElements();
+        }
+
+        if (this.onRender) {
+            this.onRender();
+        }
     }
 
     /**
@@ -63,9 +136,11 @@ class UIController {
      * 渲染连接线
      */
     renderConnections() {
+        const values = this.assignment ? this.logicCore.evaluateElements(this.assignment) : new Map();
         this.logicCore.connections.forEach(connection => {
+            // 连接线按其起点元素的真值着色
             const line = this.createSVGElement('line', {
-                class: 'connection-line',
+                class: `connection-line ${this.valueClass(values, connection.from)}`,
                 x1: connection.fromX,
                 y1: connection.fromY,
                 x2: connection.toX,
@@ -81,8 +156,358 @@ class UIController {
      * 渲染逻辑元素
      */
     renderElements() {
+        const values = this.assignment ? this.logicCore.evaluateElements(this.assignment) : new Map();
         this.logicCore.elements.forEach(element => {
             const group = this.createLogicElementGroup(element);
+            const valueClass = this.valueClass(values, element.id);
+            if (valueClass) {
+                group.classList.add(valueClass);
+            }
+            this.svg.appendChild(group);
+        });
+    }
+
+    /**
+     * 元素真值对应的样式类，没有真值时为空串
+     */
+    valueClass(values, elementId) {
+        if (!values.has(elementId)) return '';
+        return values.get(elementId) ? 'value-true' : 'value-false';
+    }
+
+    /**
+     * 开启实时求值，assignment 中没有的变元取假
+     */
+    showAssignment(assignment = {}) {
+        this.assignment = assignment;
+        this.updateAssignmentPanel();
+        this.render();
+    }
+
+    /**
+     * 关闭实时求值，恢复元素的默认样式
+     * 门电路视图离不开赋值，一并关闭
+     */
+    hideAssignment() {
+        this.assignment = null;
+        this.circuitView = false;
+        this.updateAssignmentPanel();
+        this.render();
+    }
+
+    /**
+     * 翻转一个变元的取值，画布上的真值随之更新
+     */
+    toggleVariable(name) {
+        this.assignment[name] = !this.assignment[name];
+        this.updateAssignmentPanel();
+        this.render();
+    }
+
+    /**
+     * 更新赋值面板：画布上的每个变元一个开关，新出现的变元取假
+     */
+    updateAssignmentPanel() {
+        const panel = document.getElementById('assignment-toggles');
+        const button = document.getElementById('evaluation-btn');
+
+        const circuitButton = document.getElementById('circuit-btn');
+        if (!panel) return;
+
+        panel.innerHTML = '';
+        if (button) {
+            button.textContent = this.assignment ? '关闭实时求值' : '开启实时求值';
+        }
+        if (circuitButton) {
+            circuitButton.textContent = this.circuitView ? '返回公式视图' : '门电路视图';
+        }
+        if (!this.assignment) return;
+
+        const variables = this.logicCore.getElementVariables();
+        if (variables.length === 0) {
+            panel.textContent = '画布上还没有变元';
+            return;
+        }
+
+        variables.forEach(name => {
+            if (!(name in this.assignment)) {
+                this.assignment[name] = false;
+            }
+            const toggle = document.createElement('button');
+            toggle.className = `assignment-toggle ${this.assignment[name] ? 'value-true' : 'value-false'}`;
+            toggle.textContent = `${name} = ${this.assignment[name] ? 'T' : 'F'}`;
+            toggle.title = '点击翻转取值';
+            toggle.addEventListener('click', () => this.toggleVariable(name));
+            panel.appendChild(toggle);
+        });
+    }
+
+    /**
+     * 切换到门电路视图，同时开启实时求值
+     */
+    showCircuit() {
+        this.circuitView = true;
+        if (!this.assignment) {
+            this.assignment = {};
+        }
+        this.updateAssignmentPanel();
+        this.render();
+    }
+
+    /**
+     * 退出门电路视图，恢复显示公式元素
+     */
+    hideCircuit() {
+        this.circuitView = false;
+        this.updateAssignmentPanel();
+        this.render();
+    }
+
+    /**
+     * 渲染门电路：变元和常元为输入开关，运算元素为逻辑门，没有后继的运算元素接输出灯
+     * 元素仍在原来的位置，导线按网格走折线，按所传递的真值着色
+     */
+    renderCircuit() {
+        const values = this.assignment ? this.logicCore.evaluateElements(this.assignment) : new Map();
+        const parts = new Map();
+
+        this.logicCore.elements.forEach(element => {
+            const part = element.children.length > 0
+                ? this.createGate(element, element.operator)
+                : this.createSwitch(element, values);
+            const valueClass = this.valueClass(values, element.id);
+            if (valueClass) {
+                part.group.classList.add(valueClass);
+            }
+            if (element.broken) {
+                part.group.classList.add('broken');
+            }
+            parts.set(element.id, part);
+        });
+
+        // 导线：门的各输入端依次接左、右运算对象，已删除的运算对象不接线
+        this.logicCore.elements.forEach(element => {
+            const to = parts.get(element.id);
+            element.children.forEach((childId, index) => {
+                const from = parts.get(childId);
+                if (!from) return;
+
+                const input = to.inputs[Math.min(index, to.inputs.length - 1)];
+                this.svg.appendChild(this.createWire(from.output, input, index, values, childId));
+            });
+        });
+
+        parts.forEach(part => this.svg.appendChild(part.group));
+
+        // 输出灯
+        this.logicCore.elements
+            .filter(element => parts.get(element.id).inputs.length > 0)
+            .filter(element => this.logicCore.getParentIds(element.id).length === 0)
+            .forEach(element => this.createLamp(parts.get(element.id).output, values, element.id));
+    }
+
+    /**
+     * 创建输入开关（变元）或固定输入（常元），返回 { group, inputs, output }
+     */
+    createSwitch(element, values) {
+        const value = values.has(element.id) ? (values.get(element.id) ? ' 1' : ' 0') : '';
+        const text = `${element.text}${value}`;
+        const box = Object.assign({}, element, {
+            text: text,
+            width: this.logicCore.calculateTextWidth(text) + 20
+        });
+
+        const group = this.createLogicElementGroup(box);
+        group.classList.add(element.operator ? 'circuit-source' : 'circuit-switch');
+        if (!element.operator) {
+            group.setAttribute('data-variable', element.name);
+        }
+
+        return {
+            group: group,
+            inputs: [],
+            output: { x: box.x + box.width, y: box.y + box.height / 2 }
+        };
+    }
+
+    /**
+     * 创建逻辑门，门的竖直中心与元素方框的中心对齐，返回 { group, inputs, output }
+     */
+    createGate(element, operator) {
+        const shape = GATE_SHAPES[operator] || { label: operator, body: 'box', inverted: false };
+        const body = GATE_BODIES[shape.body];
+        const arity = this.logicCore.connectives[operator].arity;
+        const x = element.x;
+        const y = element.y + element.height / 2 - GATE_HEIGHT / 2;
+
+        const group = this.createSVGElement('g', {
+            class: `logic-element circuit-gate ${element.isSelected ? 'selected' : ''}`,
+            'data-element-id': element.id,
+            transform: `translate(${x}, ${y})`
+        });
+        group.appendChild(this.createSVGElement('path', { class: 'gate-body', d: body.path }));
+        if (body.extra) {
+            group.appendChild(this.createSVGElement('path', { class: 'gate-line', d: body.extra }));
+        }
+
+        const label = this.createSVGElement('text', {
+            class: 'element-text gate-label',
+            x: body.width / 2,
+            y: GATE_HEIGHT / 2
+        });
+        label.textContent = shape.label;
+        group.appendChild(label);
+
+        // 输入端：一元门在正中，二元门在上下四分之一处
+        const inputYs = arity === 1 ? [GATE_HEIGHT / 2] : [GATE_HEIGHT / 4, GATE_HEIGHT * 3 / 4];
+        const inputs = inputYs.map((inputY, i) => {
+            if (shape.invertedInputs && shape.invertedInputs[i]) {
+                group.appendChild(this.createSVGElement('circle', {
+                    class: 'gate-body', cx: -BUBBLE_RADIUS, cy: inputY, r: BUBBLE_RADIUS
+                }));
+                return { x: x - BUBBLE_RADIUS * 2, y: y + inputY };
+            }
+            return { x: x, y: y + inputY };
+        });
+
+        let outputX = body.width;
+        if (shape.inverted) {
+            group.appendChild(this.createSVGElement('circle', {
+                class: 'gate-body', cx: outputX + BUBBLE_RADIUS, cy: GATE_HEIGHT / 2, r: BUBBLE_RADIUS
+            }));
+            outputX += BUBBLE_RADIUS * 2;
+        }
+
+        return { group: group, inputs: inputs, output: { x: x + outputX, y: y + GATE_HEIGHT / 2 } };
+    }
+
+    /**
+     * 创建导线：水平出发，在两端之间的网格列上竖直转折，再水平接入
+     * 同一个门的第二个输入端向左错开一列，避免两条导线的竖直段重合
+     */
+    createWire(from, to, index, values, elementId) {
+        const snap = x => Math.round((x - GRID_OFFSET) / GRID_SIZE) * GRID_SIZE + GRID_OFFSET;
+        let turnX = snap((from.x + to.x) / 2) - index * GRID_SIZE;
+        if (turnX <= from.x || turnX >= to.x) {
+            turnX = (from.x + to.x) / 2;
+        }
+
+        return this.createSVGElement('path', {
+            class: `connection-line ${this.valueClass(values, elementId)}`,
+            d: `M${from.x},${from.y} H${turnX} V${to.y} H${to.x}`
+        });
+    }
+
+    /**
+     * 在输出端右侧画输出灯，结果为真时点亮
+     */
+    createLamp(output, values, elementId) {
+        const valueClass = this.valueClass(values, elementId);
+        this.svg.appendChild(this.createSVGElement('path', {
+            class: `connection-line ${valueClass}`,
+            d: `M${output.x},${output.y} H${output.x + GRID_SIZE}`
+        }));
+
+        const group = this.createSVGElement('g', {
+            class: `logic-element circuit-lamp ${valueClass}`,
+            transform: `translate(${output.x + GRID_SIZE + 10}, ${output.y})`
+        });
+        group.appendChild(this.createSVGElement('circle', { class: 'lamp-body', cx: 0, cy: 0, r: 10 }));
+        this.svg.appendChild(group);
+    }
+
+    /**
+     * 在画布上显示真值树，onNodeClick 在点击结点时以该结点调用
+     */
+    showTableau(tableau, onNodeClick = null) {
+        this.tableauView = { tableau: tableau, onNodeClick: onNodeClick, selectedId: null };
+        this.render();
+    }
+
+    /**
+     * 退出真值树视图，恢复显示公式元素
+     */
+    hideTableau() {
+        this.tableauView = null;
+        this.render();
+    }
+
+    /**
+     * 渲染真值树：根在最左侧，子结点依次向右，分叉时上下展开
+     * 与公式元素使用相同的方框和连接线，封闭分支末尾标 ✗，完成后开放分支末尾标 ○ 及其赋值
+     */
+    renderTableau() {
+        const { tableau, selectedId } = this.tableauView;
+        const finished = tableau.isFinished();
+        const boxes = [];
+        const lines = [];
+        let row = 0;
+
+        const createBox = (text, x, className, node) => {
+            const box = {
+                text: text,
+                x: x,
+                y: 0,
+                width: this.logicCore.calculateTextWidth(text) + 20,
+                height: 30,
+                isSelected: node !== null && node.id === selectedId,
+                className: className,
+                node: node
+            };
+            boxes.push(box);
+            return box;
+        };
+        const connect = (from, to) => {
+            lines.push({ from: from, to: to });
+        };
+
+        // 先放叶结点（每个占一行），父结点与唯一子结点同行，分叉时位于各分支中间
+        const place = (node, x) => {
+            let className = 'tableau-node';
+            if (node.expanded) className += ' expanded';
+            if (this.tableauView.onNodeClick && tableau.canExpand(node)) className += ' expandable';
+
+            const box = createBox(node.text, x, className, node);
+            const childX = x + box.width + 40;
+
+            if (node.children.length > 0) {
+                const children = node.children.map(child => place(child, childX));
+                children.forEach(child => connect(box, child));
+                box.y = (children[0].y + children[children.length - 1].y) / 2;
+            } else {
+                box.y = 50 + row++ * 50;
+                let marker = null;
+                if (node.closed) {
+                    marker = createBox('✗', childX, 'tableau-marker closed', null);
+                } else if (finished) {
+                    marker = createBox(`○ ${tableau.formatModel(tableau.model(node))}`, childX, 'tableau-marker open', null);
+                }
+                if (marker) {
+                    marker.y = box.y;
+                    connect(box, marker);
+                }
+            }
+            return box;
+        };
+        place(tableau.root, 20);
+
+        lines.forEach(({ from, to }) => {
+            this.svg.appendChild(this.createSVGElement('line', {
+                class: 'connection-line',
+                x1: from.x + from.width,
+                y1: from.y + from.height / 2,
+                x2: to.x,
+                y2: to.y + to.height / 2
+            }));
+        });
+
+        boxes.forEach(box => {
+            const group = this.createLogicElementGroup(box);
+            group.removeAttribute('data-element-id');
+            group.setAttribute('class', `${group.getAttribute('class')} ${box.className}`);
+            if (box.node) {
+                group.setAttribute('data-tableau-id', box.node.id);
+            }
             this.svg.appendChild(group);
         });
     }
@@ -92,7 +517,7 @@ class UIController {
      */
     createLogicElementGroup(element) {
         const group = this.createSVGElement('g', {
-            class: `logic-element ${element.isSelected ? 'selected' : ''}`,
+            class: `logic-element ${element.isSelected ? 'selected' : ''} ${element.broken ? 'broken' : ''}`,
             'data-element-id': element.id,
             transform: `translate(${element.x}, ${element.y})`
         });
@@ -139,6 +564,18 @@ class UIController {
      * 处理SVG点击事件
      */
     handleSVGClick(event) {
+        if (this.tableauView) {
+            this.handleTableauClick(event);
+            return;
+        }
+
+        // 门电路视图中点击输入开关翻转变元的取值
+        const circuitSwitch = event.target.closest('.circuit-switch');
+        if (this.circuitView && circuitSwitch && this.assignment) {
+            this.toggleVariable(circuitSwitch.getAttribute('data-variable'));
+            return;
+        }
+
         const target = event.target.closest('.logic-element');
         
         if (target) {
@@ -154,10 +591,30 @@ class UIController {
         }
     }
 
+    /**
+     * 处理真值树结点的点击
+     */
+    handleTableauClick(event) {
+        const target = event.target.closest('[data-tableau-id]');
+        const { tableau, onNodeClick } = this.tableauView;
+        if (!target || !onNodeClick) return;
+
+        const id = parseInt(target.getAttribute('data-tableau-id'));
+        const find = (node) => (node.id === id ? node : node.children.map(find).find(Boolean));
+        const node = find(tableau.root);
+
+        this.tableauView.selectedId = id;
+        this.render();
+        onNodeClick(node);
+    }
+
     /**
      * 处理鼠标按下事件
      */
     handleMouseDown(event) {
+        // 真值树的结点不能拖动
+        if (this.tableauView) return;
+
         const target = event.target.closest('.logic-element');
         
         if (target) {
@@ -171,6 +628,9 @@ class UIController {
                 const rect = this.svg.getBoundingClientRect();
                 this.dragOffset.x = event.clientX - rect.left - element.x;
                 this.dragOffset.y = event.clientY - rect.top - element.y;
+                if (this.onDragStart) {
+                    this.onDragStart(element);
+                }
             }
             
             event.preventDefault();
@@ -206,6 +666,13 @@ class UIController {
      * 处理鼠标抬起事件
      */
     handleMouseUp(event) {
+        if (this.isDragging && this.dragElement && this.onDragEnd) {
+            const elementId = parseInt(this.dragElement.getAttribute('data-element-id'));
+            const element = this.logicCore.elements.find(e => e.id === elementId);
+            if (element) {
+                this.onDragEnd(element);
+            }
+        }
         this.isDragging = false;
         this.dragElement = null;
         this.dragOffset = { x: 0, y: 0 };
@@ -231,14 +698,21 @@ class UIController {
      * 处理鼠标悬停事件
      */
     handleMouseOver(event) {
+        if (this.tableauView) return;
+
         const target = event.target.closest('.logic-element');
         
         if (target && this.tooltip) {
             const elementId = parseInt(target.getAttribute('data-element-id'));
             const element = this.logicCore.elements.find(e => e.id === elementId);
             
-            if (element) {
-                this.showTooltip(event, `表达式: ${element.text}`);
+            if (element && element.broken) {
+                this.showTooltip(event, `表达式: ${element.text}（所依赖的元素已被删除）`);
+            } else if (element) {
+                const references = this.logicCore.getReferenceCount(element.id);
+                this.showTooltip(event, references > 1
+                    ? `表达式: ${element.text}（被 ${references} 处共用）`
+                    : `表达式: ${element.text}`);
             }
         }
     }
@@ -271,20 +745,46 @@ class UIController {
         this.tooltip.classList.remove('show');
     }
 
+    /**
+     * 画布数据整体改变后（如撤销、打开文件）刷新画布和各面板
+     */
+    refresh() {
+        this.tableauView = null;
+        this.updateAssignmentPanel();
+        this.render();
+        this.updateOperatorButtonStates();
+        this.updateExpressionDisplay();
+    }
+
     /**
      * 生成变元元素
      */
     generateVariableElements(variables) {
+        this.tableauView = null;
         this.logicCore.clear();
         
         variables.forEach((variable, index) => {
             const x = 20;
             const y = 50 + index * 50;
-            this.logicCore.createElement(variable, x, y);
+            this.logicCore.createVariable(variable, x, y);
         });
         
+        this.updateAssignmentPanel();
+        this.render();
+        this.updateOperatorButtonStates();
+    }
+
+    /**
+     * 根据语法树生成完整的公式元素
+     */
+    buildFormulaElements(ast) {
+        this.tableauView = null;
+        this.logicCore.buildFromAST(ast);
+        
+        this.updateAssignmentPanel();
         this.render();
         this.updateOperatorButtonStates();
+        this.updateExpressionDisplay();
     }
 
     /**
@@ -293,16 +793,10 @@ class UIController {
     updateOperatorButtonStates() {
         const selectedCount = this.logicCore.selectedElements.length;
         
-        // 否定运算符：需要选择1个元素
-        const negationBtn = document.querySelector('[data-operator="~"]');
-        if (negationBtn) {
-            negationBtn.disabled = selectedCount !== 1;
-        }
-        
-        // 其他运算符：需要选择2个元素
-        const binaryOperators = document.querySelectorAll('[data-operator]:not([data-operator="~"])');
-        binaryOperators.forEach(btn => {
-            btn.disabled = selectedCount !== 2;
+        // 一元运算符需要选择1个元素，二元运算符需要选择2个元素，常元随时可用
+        document.querySelectorAll('[data-operator]').forEach(btn => {
+            const connective = this.logicCore.connectives[btn.dataset.operator];
+            btn.disabled = connective.arity > 0 && selectedCount !== connective.arity;
         });
     }
 
@@ -331,9 +825,7 @@ class UIController {
      */
     clearCanvas() {
         this.logicCore.clear();
-        this.render();
-        this.updateOperatorButtonStates();
-        this.updateExpressionDisplay();
+        this.refresh();
     }
 }
 
@@ -0,0 +1,295 @@
+/**
+ * 画布工作区的保存与恢复
+ * 工作区为带版本号的 JSON：元素（运算符和运算对象）、连接线、位置、选择状态、当前表达式以及实时求值和门电路视图的状态，
+ * 可以导出为文件、从文件导入，并自动保存到 localStorage
+ */
+
+// 工作区格式的标识和当前版本，格式改变时递增版本号并在 migrate 中兼容旧版本
+const WORKSPACE_FORMAT = 'mathlogic-workspace';
+const WORKSPACE_VERSION = 2;
+const WORKSPACE_STORAGE_KEY = 'mathlogic-workspace';
+// 画布改变后等待多久再自动保存（毫秒），拖动元素时不必每次移动都写入
+const AUTOSAVE_DELAY = 500;
+
+class WorkspaceManager {
+    constructor(logicCore, uiController) {
+        this.logicCore = logicCore;
+        this.uiController = uiController;
+        this.autosaveTimer = null;
+    }
+
+    /**
+     * 把当前画布导出为工作区对象
+     */
+    serialize() {
+        const core = this.logicCore;
+        return {
+            format: WORKSPACE_FORMAT,
+            version: WORKSPACE_VERSION,
+            savedAt: new Date().toISOString(),
+            currentExpression: core.currentExpression,
+            currentElementId: core.currentElementId,
+            nextElementId: core.nextElementId,
+            elements: core.elements.map(element => ({
+                id: element.id,
+                operator: element.operator,
+                name: element.name,
+                children: element.children.slice(),
+                text: element.text,
+                x: element.x,
+                y: element.y,
+                width: element.width,
+                height: element.height
+            })),
+            connections: core.connections.map(connection => Object.assign({}, connection)),
+            selectedElements: core.selectedElements.slice(),
+            view: {
+                assignment: this.uiController.assignment ? Object.assign({}, this.uiController.assignment) : null,
+                circuit: this.uiController.circuitView
+            }
+        };
+    }
+
+    /**
+     * 检查工作区对象并转换为当前版本，格式有误时抛出异常
+     */
+    migrate(data) {
+        if (!data || typeof data !== 'object' || data.format !== WORKSPACE_FORMAT) {
+            throw new Error('不是 MathLogic 工作区文件');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('工作区缺少版本号');
+        }
+        if (data.version > WORKSPACE_VERSION) {
+            throw new Error(`工作区版本 ${data.version} 高于当前支持的版本 ${WORKSPACE_VERSION}，请更新页面`);
+        }
+        if (!Array.isArray(data.elements) || !Array.isArray(data.connections)) {
+            throw new Error('工作区缺少元素或连接线');
+        }
+        if (data.selectedElements !== undefined && !Array.isArray(data.selectedElements)) {
+            throw new Error('工作区的选择状态无效');
+        }
+        if (data.view !== undefined && !this.isPlainObject(data.view)) {
+            throw new Error('工作区的视图状态无效');
+        }
+        if (data.view && data.view.assignment && !this.isPlainObject(data.view.assignment)) {
+            throw new Error('工作区的变元赋值无效');
+        }
+
+        const ids = new Set();
+        data.elements.forEach((element, i) => {
+            if (!Number.isInteger(element.id) || ids.has(element.id)) {
+                throw new Error(`第 ${i + 1} 个元素的编号无效`);
+            }
+            if (![element.x, element.y].every(Number.isFinite)) {
+                throw new Error(`元素 ${element.text} 的位置无效`);
+            }
+            try {
+                this.logicCore.parser.parse(element.text);
+            } catch (error) {
+                throw new Error(`元素 "${element.text}" 不是合法的公式: ${error.message}`);
+            }
+            ids.add(element.id);
+        });
+        data.connections.forEach(connection => {
+            if (!ids.has(connection.from) || !ids.has(connection.to)) {
+                throw new Error('连接线指向了不存在的元素');
+            }
+        });
+
+        const workspace = data.version === 1 ? this.upgradeFromVersion1(data) : data;
+
+        // 运算对象总是先于元素创建，编号更小，这也保证了元素之间没有循环引用
+        workspace.elements.forEach(element => {
+            const connective = element.operator ? this.logicCore.connectives[element.operator] : null;
+            if (element.operator && !connective) {
+                throw new Error(`元素 ${element.text} 的运算符 ${element.operator} 无效`);
+            }
+            if (!element.operator && !this.isVariableName(element.name)) {
+                throw new Error(`元素 ${element.text} 的变元名无效`);
+            }
+            const arity = connective ? connective.arity : 0;
+            if (!Array.isArray(element.children) || element.children.length !== arity) {
+                throw new Error(`元素 ${element.text} 的运算对象个数不对`);
+            }
+            if (element.children.some(id => id !== null && !(ids.has(id) && id < element.id))) {
+                throw new Error(`元素 ${element.text} 的运算对象无效`);
+            }
+        });
+
+        return workspace;
+    }
+
+    /**
+     * 第 1 版的元素只有文本，按文本得出运算符，按连接线得出运算对象
+     * 运算对象已被删除的元素，缺少的运算对象记为 null
+     */
+    upgradeFromVersion1(data) {
+        const parser = this.logicCore.parser;
+        const elements = data.elements.map(element => {
+            const ast = parser.parse(element.text);
+            const arity = ast.type === 'binary' ? 2 : (ast.type === 'unary' ? 1 : 0);
+            const children = data.connections
+                .filter(connection => connection.to === element.id)
+                .map(connection => connection.from)
+                .slice(0, arity);
+            while (children.length < arity) {
+                children.push(null);
+            }
+
+            let operator = ast.operator || null;
+            if (ast.type === 'constant') {
+                operator = parser.constantSymbol(ast.value);
+            }
+            return Object.assign({}, element, {
+                operator: operator,
+                name: ast.type === 'variable' ? ast.name : null,
+                children: children
+            });
+        });
+
+        const current = elements.filter(element => element.text === data.currentExpression).pop();
+        return Object.assign({}, data, {
+            version: 2,
+            elements: elements,
+            currentElementId: current ? current.id : null
+        });
+    }
+
+    /**
+     * 是否为普通对象（不是数组或 null）
+     */
+    isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * 是否为合法的变元名
+     */
+    isVariableName(name) {
+        if (typeof name !== 'string') return false;
+        try {
+            const ast = this.logicCore.parser.parse(name);
+            return ast.type === 'variable' && ast.name === name;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 从工作区对象恢复画布，布局和选择状态与保存时相同
+     */
+    restore(data) {
+        const workspace = this.migrate(data);
+        const core = this.logicCore;
+        const selected = new Set((workspace.selectedElements || []).filter(id => workspace.elements.some(e => e.id === id)));
+
+        core.clear();
+        core.elements = workspace.elements.map(element => ({
+            id: element.id,
+            operator: element.operator || null,
+            name: element.operator ? null : element.name,
+            children: element.children.slice(),
+            text: element.text,
+            x: element.x,
+            y: element.y,
+            width: Number.isFinite(element.width) ? element.width : core.calculateTextWidth(element.text) + 20,
+            height: Number.isFinite(element.height) ? element.height : 30,
+            isSelected: selected.has(element.id),
+            broken: false
+        }));
+        core.connections = workspace.connections.map(connection => Object.assign({}, connection));
+        core.selectedElements = Array.from(selected);
+        core.currentExpression = typeof workspace.currentExpression === 'string' ? workspace.currentExpression : '';
+        core.currentElementId = core.elements.some(element => element.id === workspace.currentElementId)
+            ? workspace.currentElementId
+            : null;
+        core.nextElementId = Math.max(workspace.nextElementId || 1, ...core.elements.map(element => element.id + 1));
+        // 文本、宽度和损坏标记由元素的结构重新生成
+        core.refreshElements();
+
+        // 旧文件的连接线坐标可能与元素位置不符，按元素位置重新计算
+        core.elements.forEach(element => this.uiController.updateConnectionsForElement(element));
+
+        const view = workspace.view || {};
+        this.uiController.assignment = view.assignment ? Object.assign({}, view.assignment) : null;
+        this.uiController.circuitView = Boolean(view.circuit && view.assignment);
+        this.uiController.refresh();
+    }
+
+    /**
+     * 把工作区下载为 JSON 文件
+     */
+    exportFile() {
+        const json = JSON.stringify(this.serialize(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'mathlogic-workspace.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 从 JSON 文件导入工作区，文件内容有误时 Promise 被拒绝
+     */
+    importFile(file) {
+        return file.text().then(text => {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error('文件不是合法的 JSON');
+            }
+            this.restore(data);
+        });
+    }
+
+    /**
+     * 画布改变后延迟自动保存
+     */
+    scheduleAutosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.autosave(), AUTOSAVE_DELAY);
+    }
+
+    /**
+     * 立即把工作区保存到 localStorage，浏览器禁用存储或空间不足时忽略
+     */
+    autosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+        try {
+            localStorage.setItem(WORKSPACE_STORAGE_KEY, JSON.stringify(this.serialize()));
+        } catch (error) {
+            // 无法写入存储，下次改动时再试
+        }
+    }
+
+    /**
+     * 从 localStorage 恢复自动保存的工作区，返回是否恢复了非空的画布
+     * 保存的内容损坏时将其删除并抛出异常
+     */
+    restoreAutosave() {
+        let text = null;
+        try {
+            text = localStorage.getItem(WORKSPACE_STORAGE_KEY);
+        } catch (error) {
+            return false;
+        }
+        if (!text) return false;
+
+        try {
+            this.restore(JSON.parse(text));
+        } catch (error) {
+            localStorage.removeItem(WORKSPACE_STORAGE_KEY);
+            throw error;
+        }
+        return this.logicCore.elements.length > 0;
+    }
+}
+
+// 导出到全局作用域
+window.WorkspaceManager = WorkspaceManager;